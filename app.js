@@ -1,7 +1,28 @@
 /* app.js — Woodson Zip Sales Heatmap (Mapbox GL JS v3)
-   - Filters: BranchName, ProductGroupLevel1, date range (from BOM SaleDate)
-   - Metric toggle: TotalSales vs TicketCount
-   - Heatmap appearance: unchanged
+   - Config: runtime JSON (heatmap.config.json, ?config= / ?cfg.* overrides) for tileset, fields,
+     branding, map defaults, token, metrics and date presets
+   - Schema: field aliases (BOM, case, alternate names) and date formats detected once
+   - Data: Mapbox tileset, local GeoJSON/CSV, self-hosted vector tiles or PMTiles (runtime config)
+   - Filters: BranchName, product group drill-down Level 1 → 2 → 3 (multi-select, include/exclude),
+     date range (exact for any length)
+   - Metric toggle: Sales, Tickets, Profit, Margin %, Avg Ticket (generated from METRICS)
+   - Per capita: optional per-resident / household / housing-unit view from a local ZIP demographics CSV
+   - View modes: heatmap, Zip5 choropleth (quantile / equal interval / Jenks classes) or branch share
+     (which store wins each ZIP, contested ZIPs marked)
+   - Time-lapse: weekly/monthly playback of the selected date range
+   - Compare mode: per-Zip5 change vs a prior date range on a diverging scale
+   - Alerts: ▲ / ▼ ZIPs whose metric breaks from its trailing weekly baseline (% or z-score), listed by severity
+   - Trade areas: lasso / polygon / circle totals by branch and group, saved locally
+   - Branches: store markers, 5/10/25/50-mile rings and sales by distance band
+   - Legend: heat ramp / classes / change scale with the active metric and filters
+   - Leaderboard: sortable top-ZIP table synced with the map
+   - ZIP detail: exact filtered totals, trend sparkline, group and branch splits on click
+   - Saved views: named filter + camera presets in localStorage, JSON import/export, boot default
+   - Embedding: versioned postMessage protocol for the dashboard host (embed-harness.html)
+   - API: window.WLHeatmap for dashboard scripts (state, filters, metric, aggregates, events, destroy)
+   - Export: filtered ZIP/branch(/group) totals as CSV or XLSX
+   - Report: PNG of the map with legend, title, filters and timestamp; printable letter page with top ZIPs
+   - Heatmap weight: data-driven breakpoints (quantile / log / linear / fixed), lockable
 */
 
 (() => {
@@ -9,22 +30,334 @@
   const log = (...args) => console.log(LOG_PREFIX, ...args);
 
   // =========================
-  // EDIT THESE IF NEEDED
+  // Runtime configuration
+  // - DEFAULT_CONFIG below, then the JSON file at CONFIG_URL (or ?config=<url>, same origin
+  //   only), then ?cfg.<dotted.key>=<value> query parameters, so one build can serve several
+  //   dashboards:
+  //     index.html?config=caldwell.config.json&cfg.mapbox.zoom=8
+  // - Anyone can craft a link, so QUERY_LOCKED_KEYS (embed.*, the Mapbox token, data.*) can
+  //   only come from a config file
+  // - Every layer is checked against CONFIG_SCHEMA; a bad key keeps its default and is
+  //   listed (with the key) above the status line
+  // - Data source shapes (data.source):
+  //     { type: "tileset" }   (data.tilesetId / data.sourceLayer)
+  //     { type: "geojson", url: "sales.geojson" }
+  //     { type: "csv", url: "sales.csv", latField: "Latitude", lonField: "Longitude" }
+  //     { type: "csv", url: "sales.csv", zipField: "Zip5", zipCentroidsUrl: "zip-centroids.csv" }
+  //     { type: "vector", url: "tiles/{z}/{x}/{y}.pbf", sourceLayer: "sales" }
+  //     { type: "pmtiles", url: "sales.pmtiles", sourceLayer: "sales" }
+  // - data.totals: optional GeoJSON/CSV copy of a tiled source's records (same shapes as the
+  //   geojson/csv sources above, same field names as the tiles); see "Data source"
+  // - fields: preferred property names for Zip5, BranchName, ProductGroupLevel1, the metric
+  //   fields and the sale date; matched ignoring case and a leading BOM, with FIELD_ALIASES
+  //   as fallbacks (see "Schema normalization")
+  // - metrics: keys of the built-in metrics (order = toggle order), or objects that
+  //   override/add one: { key, label, statusLabel, prop | ratio, format, stops }
+  // - datePresets: keys of DATE_PRESETS, or { label, days } for "last N days"
+  // - mapbox.accessToken replaces the token that used to live in index.html
+  // - embed.allowedOrigins: see "Embedding protocol"
+  // - branchShare.contestedBelow: leading-branch share (0–1) under which a ZIP counts as
+  //   contested in the "Branch share" view
+  // - alerts: defaults for the Alerts panel (baseline weeks, "pct" / "z" threshold) and the
+  //   minimum baseline history a ZIP needs before it can be flagged
   // =========================
-  const TILESET_ID = "ckunkel.bp872kqi";
-  const SOURCE_LAYER = "MapBox-42vjbp";
-  const FILTERS_URL = "filters.json";
+  const CONFIG_URL = "heatmap.config.json";
+
+  const DEFAULT_CONFIG = {
+    title: "Zip Sales Heatmap",
+    subtitle: "",
+    mapbox: {
+      accessToken: "",
+      style: "mapbox://styles/mapbox/light-v11",
+      center: [-96.7, 30.6],
+      zoom: 6.3,
+    },
+    data: {
+      tilesetId: "ckunkel.bp872kqi",
+      sourceLayer: "MapBox-42vjbp",
+      source: { type: "tileset", url: "" },
+      totals: null, // complete copy of tiled data for exact totals, e.g. { type: "csv", url: "sales.csv", … }
+    },
+    urls: {
+      filters: "filters.json",
+      zipBoundaries: "zip-boundaries.geojson", // ZIP polygons for the choropleth (e.g. Census ZCTAs)
+      branches: "branches.json",               // store locations for markers / rings
+      demographics: "zip-demographics.csv",    // census counts per Zip5 for the "Per" normalization
+    },
+    fields: {
+      zip: "Zip5",
+      branch: "BranchName",
+      group: "ProductGroupLevel1",
+      group2: "ProductGroupLevel2", // optional drill-down levels (see GROUP_LEVELS)
+      group3: "ProductGroupLevel3",
+      sales: "TotalSales",
+      tickets: "TicketCount",
+      profit: "TotalProfit",
+      saleDate: "SaleDate",
+      saleDateKey: "SaleDateKey",
+    },
+    metrics: null, // null = every built-in metric
+    datePresets: ["currentYear", "lastYear", "currentMonth", "previousMonth", "ytd"],
+    embed: {
+      allowedOrigins: [], // host pages allowed to drive the map via postMessage (own origin always is)
+    },
+    branchShare: {
+      contestedBelow: 0.5, // no branch with at least this share of the ZIP = contested
+    },
+    alerts: {
+      baselineWeeks: 12,  // trailing weeks before Start the window is measured against
+      mode: "pct",        // "pct" = % change vs the baseline, "z" = z-score
+      pctThreshold: 0.3,  // ±30%
+      zThreshold: 2,      // ±2 standard deviations
+      minActiveWeeks: 4,  // baseline weeks with sales a ZIP needs before it can be flagged
+    },
+  };
+
+  // Quick date buttons; `range(today)` returns [start, end] Dates
+  const DATE_PRESETS = {
+    currentYear: { label: "Current Year", range: (d) => [new Date(d.getFullYear(), 0, 1), new Date(d.getFullYear(), 11, 31)] },
+    lastYear: { label: "Last Year", range: (d) => [new Date(d.getFullYear() - 1, 0, 1), new Date(d.getFullYear() - 1, 11, 31)] },
+    currentMonth: { label: "Current Month", range: (d) => [new Date(d.getFullYear(), d.getMonth(), 1), new Date(d.getFullYear(), d.getMonth() + 1, 0)] },
+    previousMonth: { label: "Previous Month", range: (d) => [new Date(d.getFullYear(), d.getMonth() - 1, 1), new Date(d.getFullYear(), d.getMonth(), 0)] },
+    currentQuarter: {
+      label: "Current Quarter",
+      range: (d) => [new Date(d.getFullYear(), d.getMonth() - (d.getMonth() % 3), 1), new Date(d.getFullYear(), d.getMonth() - (d.getMonth() % 3) + 3, 0)],
+    },
+    ytd: { label: "YTD", range: (d) => [new Date(d.getFullYear(), 0, 1), d] },
+    mtd: { label: "MTD", range: (d) => [new Date(d.getFullYear(), d.getMonth(), 1), d] },
+  };
+
+  // Property names the rest of the app uses; the schema step maps `fields` onto the data
+  const CANONICAL_FIELDS = { ...DEFAULT_CONFIG.fields };
+
+  // Product group hierarchy. Level 1 is always offered; a deeper level's picker appears once
+  // exactly one value is included at the level above and lists that parent's children only.
+  // Each chosen level filters on its own field (so the deepest one decides), and state keeps
+  // `<key>` (Set) / `<key>Exclude` per level. `hash` is the permalink key, `apiKey` the
+  // setFilters/getState key.
+  const GROUP_LEVELS = [
+    { key: "group", field: "ProductGroupLevel1", hash: "g", apiKey: "groups", label: "Product group" },
+    { key: "group2", field: "ProductGroupLevel2", hash: "g2", apiKey: "groups2", label: "Group level 2" },
+    { key: "group3", field: "ProductGroupLevel3", hash: "g3", apiKey: "groups3", label: "Group level 3" },
+  ];
+
+  // ZIP boundary property candidates (first one present wins)
+  const ZIP_BOUNDARY_FIELDS = ["Zip5", "ZCTA5CE20", "ZCTA5CE10", "GEOID20", "ZIP"];
+
+  const isStr = (v) => (typeof v === "string" && v.trim() ? null : "expected a non-empty string");
+  const isOptStr = (v) => (typeof v === "string" ? null : "expected a string");
+  const isNum = (v) => (typeof v === "number" && isFinite(v) ? null : "expected a number");
+  const CONFIG_SCHEMA = {
+    title: isStr,
+    subtitle: isOptStr,
+    mapbox: {
+      accessToken: (v) => (typeof v === "string" && /^pk\./.test(v) ? null : "expected a public Mapbox token (pk.…), never a secret sk.… one"),
+      style: isStr,
+      center: (v) => (Array.isArray(v) && v.length === 2 && v.every((n) => typeof n === "number" && isFinite(n)) &&
+        Math.abs(v[0]) <= 180 && Math.abs(v[1]) <= 90 ? null : "expected [longitude, latitude]"),
+      zoom: (v) => isNum(v) || (v >= 0 && v <= 22 ? null : "expected a zoom between 0 and 22"),
+    },
+    data: {
+      tilesetId: isStr,
+      sourceLayer: isStr,
+      source: (v) => {
+        if (!v || typeof v !== "object" || Array.isArray(v)) return "expected an object";
+        const types = ["tileset", "geojson", "csv", "vector", "pmtiles"];
+        if (!types.includes(v.type)) return `type must be one of ${types.join(", ")}`;
+        if (v.type !== "tileset" && !(typeof v.url === "string" && v.url)) return `url is required for type "${v.type}"`;
+        return null;
+      },
+      totals: (v) => (v === null || (v && typeof v === "object" && (v.type === "geojson" || v.type === "csv") &&
+        typeof v.url === "string" && v.url) ? null : 'expected null or { type: "geojson" | "csv", url, … }'),
+    },
+    urls: { filters: isStr, zipBoundaries: isStr, branches: isStr, demographics: isStr },
+    fields: Object.fromEntries(Object.keys(DEFAULT_CONFIG.fields).map((k) => [k, isStr])),
+    metrics: (v) => (v === null || (Array.isArray(v) && v.length &&
+      v.every((m) => typeof m === "string" || (m && typeof m === "object" && typeof m.key === "string")))
+      ? null : "expected a list of metric keys or { key, … } objects"),
+    embed: {
+      allowedOrigins: (v) => (Array.isArray(v) && v.every((o) => o === "*" || (typeof o === "string" && /^https?:\/\/[^/]+$/.test(o)))
+        ? null : 'expected a list of origins like "https://dashboard.example.com" (or "*")'),
+    },
+    branchShare: {
+      contestedBelow: (v) => isNum(v) || (v > 0 && v <= 1 ? null : "expected a share between 0 and 1 (e.g. 0.5)"),
+    },
+    alerts: {
+      baselineWeeks: (v) => (Number.isInteger(v) && v >= 2 && v <= 104 ? null : "expected a whole number of weeks between 2 and 104"),
+      mode: (v) => (v === "pct" || v === "z" ? null : 'expected "pct" or "z"'),
+      pctThreshold: (v) => isNum(v) || (v > 0 ? null : "expected a fraction above 0 (e.g. 0.3 = ±30%)"),
+      zThreshold: (v) => isNum(v) || (v > 0 ? null : "expected a number above 0 (e.g. 2)"),
+      minActiveWeeks: (v) => (Number.isInteger(v) && v >= 1 ? null : "expected a whole number of weeks (1 or more)"),
+    },
+    datePresets: (v) => {
+      if (!Array.isArray(v)) return "expected a list of preset keys or { label, days } objects";
+      const bad = v.find((p) => !(DATE_PRESETS[p] || (p && typeof p.label === "string" && p.days > 0)));
+      return bad === undefined ? null
+        : `unknown preset ${JSON.stringify(bad)} (use ${Object.keys(DATE_PRESETS).join(", ")} or { label, days })`;
+    },
+  };
+
+  const CONFIG = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+  const configErrors = []; // [{ key, message }] shown above the status line
+
+  // Merge `src` into CONFIG key by key, validating each leaf against the schema
+  function mergeConfig(src, origin, schema = CONFIG_SCHEMA, target = CONFIG, path = "") {
+    if (!src || typeof src !== "object" || Array.isArray(src)) {
+      configErrors.push({ key: path || origin, message: "expected an object" });
+      return;
+    }
+    for (const [k, v] of Object.entries(src)) {
+      const key = path ? `${path}.${k}` : k;
+      if (k.startsWith("$") || k.startsWith("_")) continue; // "$schema", "_comment", …
+      const rule = schema[k];
+      if (!rule) {
+        configErrors.push({ key, message: `unknown key (${origin})` });
+      } else if (typeof rule === "function") {
+        const err = rule(v);
+        if (err) configErrors.push({ key, message: `${err} (${origin}); using the default` });
+        else target[k] = v;
+      } else {
+        mergeConfig(v, origin, rule, target[k], key);
+      }
+    }
+  }
+
+  // Dotted prefixes ?cfg.* may not set: who may drive the map, whose account it bills and
+  // which records it shows
+  const QUERY_LOCKED_KEYS = ["embed", "mapbox.accessToken", "data"];
+
+  // ?cfg.mapbox.zoom=8 → { mapbox: { zoom: 8 } }. Values are parsed as JSON when they can be.
+  function configFromQuery(params) {
+    const out = {};
+    for (const [name, raw] of params) {
+      if (!name.startsWith("cfg.")) continue;
+      const parts = name.slice(4).split(".").filter(Boolean);
+      if (!parts.length) continue;
+      const key = parts.join(".");
+      const locked = QUERY_LOCKED_KEYS.find((k) => key === k || key.startsWith(`${k}.`) || k.startsWith(`${key}.`));
+      if (locked) {
+        configErrors.push({ key, message: `can't be set from the query string (${locked} comes from the config file only)` });
+        continue;
+      }
+      let value = raw;
+      try { value = JSON.parse(raw); } catch {}
+      let node = out;
+      parts.slice(0, -1).forEach((p) => { node = node[p] = (node[p] && typeof node[p] === "object") ? node[p] : {}; });
+      node[parts[parts.length - 1]] = value;
+    }
+    return out;
+  }
+
+  async function loadRuntimeConfig() {
+    configErrors.length = 0; // WLHeatmap.mount() after destroy() reloads the config
+    const params = new URLSearchParams(window.location.search);
+    let url = params.get("config") || CONFIG_URL;
+    if (params.has("config")) {
+      let target = null;
+      try { target = new URL(url, window.location.href); } catch {}
+      if (!target || target.origin !== window.location.origin) {
+        configErrors.push({ key: "config", message: `${url} is not on this site; only same-origin config files are loaded (using ${CONFIG_URL})` });
+        url = CONFIG_URL;
+      }
+    }
+
+    try {
+      const res = await fetch(url, { cache: "no-store" });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      let data;
+      try {
+        data = await res.json();
+      } catch (e) {
+        throw new Error(`not valid JSON (${e.message || e})`);
+      }
+      mergeConfig(data, url);
+      log(`Loaded config ${url}`);
+    } catch (err) {
+      // Only an explicitly requested file is an error; the default one is optional
+      if (params.has("config")) configErrors.push({ key: "config", message: `could not load ${url}: ${err.message || err}` });
+      else log(`No ${CONFIG_URL} (using built-in defaults):`, err.message || err);
+    }
+
+    const overrides = configFromQuery(params);
+    if (Object.keys(overrides).length) mergeConfig(overrides, "query string");
+
+    if (CONFIG.mapbox.accessToken) mapboxgl.accessToken = CONFIG.mapbox.accessToken;
+    if (!mapboxgl.accessToken) configErrors.push({ key: "mapbox.accessToken", message: "is required (no Mapbox token configured)" });
+
+    for (const e of configErrors) console.warn(LOG_PREFIX, `Config ${e.key}: ${e.message}`);
+    return CONFIG;
+  }
+
+
+  // =========================
+  // Embedding protocol (postMessage to the host page)
+  // - Envelope: { protocol: "wl-heatmap", version: 1, type, id?, payload? }
+  // - Inbound commands are only accepted from this page's own origin or
+  //   CONFIG.embed.allowedOrigins ("*" = any, for local testing only)
+  // - Outbound events go to window.parent (the BisTrack dashboard frame), addressed to the host's
+  //   origin once known (first accepted command, else the referrer when it is allowed); replies
+  //   to a command carry `replyTo: <command id>`
+  // - Nothing is ever sent to a guessed origin: with no known host origin, or an opaque ("null")
+  //   one such as a file:// host, messages go to "*" only when allowedOrigins lists "*",
+  //   otherwise they are dropped with a console warning
+  // - embed-harness.html exercises every message
+  // =========================
+  const EMBED_PROTOCOL = "wl-heatmap";
+  const EMBED_VERSION = 1;
+  const embedHost = {
+    origin: null,        // learned from the first accepted command (never "null")
+    warned: new Set(),   // undeliverable message reasons already logged
+  };
+
+  function isAllowedEmbedOrigin(origin) {
+    const list = CONFIG.embed.allowedOrigins;
+    return origin === window.location.origin || list.includes("*") || list.includes(origin);
+  }
+
+  // postMessage target for `origin`, or null when it can't be addressed ("null" can't be a
+  // target, so opaque hosts get "*" only with the explicit opt-in)
+  function embedTargetFor(origin) {
+    if (origin && origin !== "null") return origin;
+    return CONFIG.embed.allowedOrigins.includes("*") ? "*" : null;
+  }
+
+  function hostTargetOrigin() {
+    if (embedHost.origin) return embedHost.origin;
+    let referrer = null;
+    try { referrer = document.referrer ? new URL(document.referrer).origin : null; } catch {}
+    return embedTargetFor(referrer && isAllowedEmbedOrigin(referrer) ? referrer : null);
+  }
 
-  // BOM field name we saw in your tileset properties: "﻿SaleDate"
-  const BOM_SALEDATE_FIELD = "\ufeffSaleDate";
+  function postToHost(type, payload = {}, { replyTo = null, target = window.parent, origin = null } = {}) {
+    if (!target || target === window) return false; // not embedded
+    const msg = { protocol: EMBED_PROTOCOL, version: EMBED_VERSION, type, payload };
+    if (replyTo != null) msg.replyTo = replyTo;
+    const to = origin ? embedTargetFor(origin) : hostTargetOrigin();
+    if (!to) {
+      const why = origin
+        ? `the sender's origin is opaque ("null"); list "*" in embed.allowedOrigins to answer such hosts`
+        : "the host page's origin is unknown (no referrer from an allowed origin and no command yet); events start once the host sends a command, e.g. getState";
+      if (!embedHost.warned.has(why)) {
+        embedHost.warned.add(why);
+        console.warn(LOG_PREFIX, `postMessage ${type} not sent: ${why}`);
+      }
+      return false;
+    }
+    try {
+      target.postMessage(msg, to);
+      return true;
+    } catch (e) {
+      console.warn(LOG_PREFIX, `postMessage ${type} failed:`, e);
+      return false;
+    }
+  }
 
   
   // =========================
   // Dashboard-safe boot (BisTrack WebView / iframe)
   // =========================
-  const onceKey = "__WLHeatmapBooted__";
-  if (window[onceKey]) { log("Already booted; skipping duplicate load."); return; }
-  window[onceKey] = true;
+  // A second copy of this script (BisTrack can inject it twice) leaves the first one in charge
+  if (window.WLHeatmap) { log("Already loaded; skipping duplicate script."); return; }
 
   const ready = (fn) => {
     if (document.readyState === "loading") document.addEventListener("DOMContentLoaded", fn, { once: true });
@@ -60,22 +393,299 @@
     await waitForNonZeroSize(mapEl).catch(() => {
       mapEl.style.minHeight = "600px";
     });
+    await loadRuntimeConfig();
 
 // =========================
   // DOM
   // =========================
   const els = {
-    branchSelect: document.getElementById("branchSelect"),
-    groupSelect: document.getElementById("groupSelect"),
+    appTitle: document.getElementById("appTitle"),
+    appSubtitle: document.getElementById("appSubtitle"),
+    branchPicker: document.getElementById("branchPicker"),
+    groupPicker: document.getElementById("groupPicker"),
     startDate: document.getElementById("startDate"),
     endDate: document.getElementById("endDate"),
-    metricSales: document.getElementById("metricSales"),
-    metricTickets: document.getElementById("metricTickets"),
+    metricToggles: document.getElementById("metricToggles"),
+    normalizeMode: document.getElementById("normalizeMode"),
+    viewToggles: document.getElementById("viewToggles"),
+    classMethod: document.getElementById("classMethod"),
+    scaleMode: document.getElementById("scaleMode"),
+    scaleLock: document.getElementById("scaleLock"),
+    exportCsvBtn: document.getElementById("exportCsvBtn"),
+    exportXlsxBtn: document.getElementById("exportXlsxBtn"),
+    exportByGroup: document.getElementById("exportByGroup"),
+    exportImageBtn: document.getElementById("exportImageBtn"),
+    printReportBtn: document.getElementById("printReportBtn"),
+    reportOrientation: document.getElementById("reportOrientation"),
     applyBtn: document.getElementById("applyBtn"),
     clearBtn: document.getElementById("clearBtn"),
+    savedViews: document.getElementById("savedViews"),
     status: document.getElementById("status"),
   };
 
+  // Every window/document/page-element listener is bound to this, so destroy() can drop them all
+  const lifetime = new AbortController();
+  const { signal } = lifetime;
+
+  // The filter panel as the page shipped it; pickers, toggles and panels are built into it,
+  // and destroy() puts this markup back
+  const filterPanelEl = findFilterPanel();
+  const pristinePanel = filterPanelEl && { html: filterPanelEl.innerHTML, className: filterPanelEl.className };
+
+  // Nodes this file adds to the page (styles, drawer, panels, buttons); destroy() removes
+  // exactly these, so host elements that happen to share a "wl" id prefix are left alone
+  const injectedNodes = new Set();
+  const injected = (el) => {
+    injectedNodes.add(el);
+    return el;
+  };
+
+
+  // =========================
+  // Multi-select pickers (Branch / Product Group)
+  // - Search box, All / None, Include vs Exclude mode
+  // - Nothing checked (or everything checked in include mode) means "all"
+  // - Emits a bubbling "change" event on the root element, like a <select>
+  // =========================
+  function ensurePickerStyle() {
+    if (document.getElementById("wlPickerStyle")) return;
+    const st = document.createElement("style");
+    st.id = "wlPickerStyle";
+    st.textContent = `
+      .wl-picker{ position: relative; font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif; }
+      .wl-group-level{ margin:6px 0 0 8px; padding-left:8px; border-left:2px solid #e5e7eb; }
+      .wl-group-level-label{ font-size:11px; color:#6b7280; margin-bottom:3px; }
+      .wl-picker .wl-picker-btn{
+        width:100%;
+        text-align:left;
+        background:#ffffff !important;
+        color:#111827 !important;
+        -webkit-text-fill-color:#111827 !important;
+        border:1px solid #d1d5db !important;
+        border-radius:8px !important;
+        padding:8px 10px !important;
+        font-size:14px !important;
+        white-space:nowrap;
+        overflow:hidden;
+        text-overflow:ellipsis;
+      }
+      .wl-picker .wl-picker-panel{
+        display:none;
+        margin-top:6px;
+        padding:8px;
+        border:1px solid #d1d5db;
+        border-radius:8px;
+        background:#ffffff;
+      }
+      .wl-picker.is-open .wl-picker-panel{ display:block; }
+      .wl-picker .wl-picker-tools{ display:flex; gap:6px; margin:6px 0; align-items:center; }
+      .wl-picker .wl-picker-tools button{
+        width:auto;
+        padding:4px 8px !important;
+        font-size:12px !important;
+        background:#f3f4f6 !important;
+        color:#111827 !important;
+        -webkit-text-fill-color:#111827 !important;
+        border:1px solid #d1d5db !important;
+        border-radius:6px !important;
+      }
+      .wl-picker .wl-picker-tools label{ display:flex; align-items:center; gap:4px; margin:0 0 0 auto; font-size:12px; }
+      .wl-picker input[type="checkbox"]{ width:auto; margin:0; padding:0; }
+      .wl-picker .wl-picker-search{ font-size:13px; padding:6px 8px; }
+      .wl-picker .wl-picker-list{ max-height:220px; overflow:auto; }
+      .wl-picker .wl-picker-list label{
+        display:flex;
+        align-items:center;
+        gap:6px;
+        margin:0;
+        padding:3px 2px;
+        font-size:13px;
+        color:#111827;
+        cursor:pointer;
+      }
+      .wl-picker .wl-picker-list label.is-hidden{ display:none; }
+      .wl-picker .wl-picker-list label.is-empty{ color:#9ca3af; }
+      .wl-picker .wl-picker-meta{ margin-left:auto; font-size:11px; color:#6b7280; white-space:nowrap; }
+      .wl-picker .wl-picker-list label.is-empty .wl-picker-meta{ color:#d1d5db; }
+    `;
+    document.head.appendChild(injected(st));
+  }
+
+  // Compact text for a selection: "All branches", "Mexia, Groesbeck +1", "All except Lumber, Specials"
+  function describeSelection(values, exclude, allLabel, { max = 2 } = {}) {
+    const list = Array.from(values || []);
+    if (!list.length) return allLabel;
+    const head = list.slice(0, max).join(", ");
+    const more = list.length > max ? ` +${list.length - max}` : "";
+    return exclude ? `All except ${head}${more}` : `${head}${more}`;
+  }
+
+  function createMultiPicker(rootEl, { allLabel, placeholder = "Search…" } = {}) {
+    if (!rootEl) return null;
+    ensurePickerStyle();
+
+    let options = [];
+    let meta = new Map(); // value -> { text, empty } (counts shown next to each option)
+    const checked = new Set();
+    let exclude = false;
+
+    rootEl.classList.add("wl-picker");
+    rootEl.innerHTML = `
+      <button type="button" class="wl-picker-btn"></button>
+      <div class="wl-picker-panel">
+        <input type="search" class="wl-picker-search" placeholder="${placeholder}" />
+        <div class="wl-picker-tools">
+          <button type="button" data-act="all">All</button>
+          <button type="button" data-act="none">None</button>
+          <label><input type="checkbox" class="wl-picker-exclude" /> Exclude</label>
+        </div>
+        <div class="wl-picker-list"></div>
+      </div>
+    `;
+
+    const btn = rootEl.querySelector(".wl-picker-btn");
+    const search = rootEl.querySelector(".wl-picker-search");
+    const excludeBox = rootEl.querySelector(".wl-picker-exclude");
+    const listEl = rootEl.querySelector(".wl-picker-list");
+
+    const getValues = () => {
+      // Everything checked in include mode is the same as no filter
+      if (!exclude && options.length && options.every((v) => checked.has(v))) return new Set();
+      return new Set(checked);
+    };
+
+    const summary = () => describeSelection(getValues(), exclude, allLabel);
+
+    const emit = () => {
+      btn.textContent = summary();
+      rootEl.dispatchEvent(new Event("change", { bubbles: true }));
+    };
+
+    const renderList = () => {
+      listEl.innerHTML = "";
+      for (const v of options) {
+        const row = document.createElement("label");
+        const cb = document.createElement("input");
+        cb.type = "checkbox";
+        cb.value = v;
+        cb.checked = checked.has(v);
+        row.dataset.value = v;
+        row.appendChild(cb);
+        row.appendChild(document.createTextNode(v));
+        const m = document.createElement("span");
+        m.className = "wl-picker-meta";
+        row.appendChild(m);
+        listEl.appendChild(row);
+      }
+      applyMeta();
+      applySearch();
+    };
+
+    const applyMeta = () => {
+      listEl.querySelectorAll("label").forEach((row) => {
+        const m = meta.get(row.dataset.value);
+        row.classList.toggle("is-empty", !!m?.empty);
+        const span = row.querySelector(".wl-picker-meta");
+        if (span) span.textContent = m?.text || "";
+      });
+    };
+
+    const applySearch = () => {
+      const q = search.value.trim().toLowerCase();
+      listEl.querySelectorAll("label").forEach((row) => {
+        row.classList.toggle("is-hidden", !!q && !String(row.dataset.value).toLowerCase().includes(q));
+      });
+    };
+
+    // All / None act on the rows that match the current search
+    const setVisible = (on) => {
+      listEl.querySelectorAll("label:not(.is-hidden) input").forEach((cb) => {
+        cb.checked = on;
+        if (on) checked.add(cb.value);
+        else checked.delete(cb.value);
+      });
+      emit();
+    };
+
+    btn.addEventListener("click", () => {
+      rootEl.classList.toggle("is-open");
+      if (rootEl.classList.contains("is-open")) search.focus();
+    });
+    search.addEventListener("input", applySearch);
+    rootEl.querySelector('[data-act="all"]').addEventListener("click", () => setVisible(true));
+    rootEl.querySelector('[data-act="none"]').addEventListener("click", () => setVisible(false));
+    excludeBox.addEventListener("change", () => { exclude = excludeBox.checked; emit(); });
+    listEl.addEventListener("change", (e) => {
+      const cb = e.target;
+      if (!cb || cb.type !== "checkbox") return;
+      e.stopPropagation();
+      if (cb.checked) checked.add(cb.value);
+      else checked.delete(cb.value);
+      emit();
+    });
+
+    btn.textContent = summary();
+
+    return {
+      root: rootEl,
+      getValues,
+      isExclude: () => exclude,
+      summary,
+      setOptions(list) {
+        // Checked values stay listed even if the new list lacks them (e.g. restored from a permalink)
+        const next = Array.from(new Set([...(list || []).map(String), ...checked]));
+        if (next.length === options.length && next.every((v, i) => v === options[i])) return;
+        options = next;
+        renderList();
+        btn.textContent = summary();
+      },
+      // metaMap: Map(value -> { text, empty }); empty options are greyed out but still selectable
+      setMeta(metaMap) {
+        meta = metaMap || new Map();
+        applyMeta();
+      },
+      setSelection(values, excludeMode = false) {
+        checked.clear();
+        for (const v of values || []) checked.add(String(v));
+        exclude = !!excludeMode;
+        excludeBox.checked = exclude;
+        const missing = Array.from(checked).filter((v) => !options.includes(v));
+        if (missing.length) {
+          options = [...options, ...missing];
+          renderList();
+        } else {
+          listEl.querySelectorAll("input").forEach((cb) => { cb.checked = checked.has(cb.value); });
+        }
+        btn.textContent = summary();
+      },
+      close() { rootEl.classList.remove("is-open"); },
+    };
+  }
+
+  const branchPicker = createMultiPicker(els.branchPicker, { allLabel: "All branches", placeholder: "Search branches…" });
+  const groupPicker = createMultiPicker(els.groupPicker, { allLabel: "All groups", placeholder: "Search groups…" });
+
+  // Level 2 / 3 pickers, stacked under the group picker (see GROUP_LEVELS and syncGroupLevels)
+  let groupLevelAnchor = els.groupPicker;
+  function createGroupLevelPicker(lvl, index) {
+    if (!groupLevelAnchor) return null;
+    const wrap = document.createElement("div");
+    wrap.className = "wl-group-level";
+    wrap.hidden = true;
+    const labelEl = document.createElement("div");
+    labelEl.className = "wl-group-level-label";
+    const root = document.createElement("div");
+    wrap.append(labelEl, root);
+    groupLevelAnchor.insertAdjacentElement("afterend", injected(wrap));
+    groupLevelAnchor = wrap;
+
+    const picker = createMultiPicker(root, { allLabel: `All of ${lvl.label.toLowerCase()}`, placeholder: "Search…" });
+    wrap.addEventListener("change", () => onGroupLevelChange(index));
+    return Object.assign(picker, { wrap, labelEl, parent: null });
+  }
+  const groupLevelPickers = [groupPicker, ...GROUP_LEVELS.slice(1).map((lvl, i) => createGroupLevelPicker(lvl, i + 1))];
+  els.groupPicker?.addEventListener("change", () => onGroupLevelChange(0), { signal });
+
 
   // =========================
   // Mobile / Tablet: collapsible filter drawer (no HTML edits required)
@@ -96,7 +706,7 @@
     if (!apply) return null;
 
     const mapEl = document.getElementById("map");
-    const required = [els.branchSelect, els.groupSelect, els.startDate, els.endDate, els.applyBtn].filter(Boolean);
+    const required = [els.branchPicker, els.groupPicker, els.startDate, els.endDate, els.applyBtn].filter(Boolean);
 
     const containsAll = (node) => required.every((c) => node && node.contains && node.contains(c));
     const containsMap = (node) => !!(mapEl && node && node.contains && node.contains(mapEl));
@@ -242,14 +852,14 @@
           #wlFilterToggleBar{ display:block; }
         }
       `;
-      document.head.appendChild(st);
+      document.head.appendChild(injected(st));
     }
 
     // Backdrop
     const backdrop = document.createElement("div");
     backdrop.id = "wlFilterBackdrop";
     backdrop.className = "wl-filter-backdrop";
-    document.body.appendChild(backdrop);
+    document.body.appendChild(injected(backdrop));
 
     // Toggle bar (overlay on top of map; doesn't require HTML changes)
     const barWrap = document.createElement("div");
@@ -270,7 +880,7 @@
       const pos = getComputedStyle(mapParent).position;
       if (pos === "static") mapParent.style.position = "relative";
     }
-    mapParent.appendChild(barWrap);
+    mapParent.appendChild(injected(barWrap));
 
     // Convert filter panel into a drawer on mobile
     filterPanelEl.classList.add("wl-filter-drawer");
@@ -283,7 +893,7 @@
         <div class="wl-h">Filters</div>
         <button type="button" class="wl-close" id="wlCloseFiltersBtn">Close</button>
       `;
-      filterPanelEl.insertBefore(header, filterPanelEl.firstChild);
+      filterPanelEl.insertBefore(injected(header), filterPanelEl.firstChild);
     }
 
     const toggleBtn = barWrap.querySelector("#wlToggleFiltersBtn");
@@ -304,12 +914,11 @@
 
     function updateSummary() {
       if (!summaryEl) return;
-      const b = els.branchSelect?.value || "__ALL__";
-      const g = els.groupSelect?.value || "__ALL__";
       const s = els.startDate?.value || "";
       const e = els.endDate?.value || "";
-      const bTxt = (b === "__ALL__") ? "All branches" : b;
-      const gTxt = (g === "__ALL__") ? "All groups" : g;
+      const bTxt = branchPicker?.summary() || "All branches";
+      const gTxt = groupLevelPickers.filter((p, i) => p && (i === 0 || (!p.wrap.hidden && p.getValues().size)))
+        .map((p) => p.summary()).join(" › ") || "All groups";
       const dTxt = (s || e) ? `${s || "…"} → ${e || "…"}` : "Any dates";
       summaryEl.textContent = `${bTxt} • ${gTxt} • ${dTxt}`;
     }
@@ -324,10 +933,10 @@
     backdrop.addEventListener("click", () => setOpen(false));
 
     ["change", "input"].forEach((evt) => {
-      els.branchSelect?.addEventListener(evt, updateSummary);
-      els.groupSelect?.addEventListener(evt, updateSummary);
-      els.startDate?.addEventListener(evt, updateSummary);
-      els.endDate?.addEventListener(evt, updateSummary);
+      els.branchPicker?.addEventListener(evt, updateSummary, { signal });
+      els.groupPicker?.addEventListener(evt, updateSummary, { signal });
+      els.startDate?.addEventListener(evt, updateSummary, { signal });
+      els.endDate?.addEventListener(evt, updateSummary, { signal });
     });
 
     const onResize = () => {
@@ -340,42 +949,226 @@
         setOpen(false);
       }
     };
-    window.addEventListener("resize", onResize);
-    window.addEventListener("orientationchange", onResize);
+    window.addEventListener("resize", onResize, { signal });
+    window.addEventListener("orientationchange", onResize, { signal });
 
-    window.__WLFilterDrawer__ = { setOpen, updateSummary, isMobileViewport };
     updateSummary();
     setOpen(false);
+    return { setOpen, updateSummary, isMobileViewport };
   }
 
   // Kickoff once DOM is available (we're inside boot(), so elements exist)
-  const __wlFilterPanelEl = findFilterPanel();
-  ensureMobileFilterToggleUI(__wlFilterPanelEl);
+  const filterDrawer = ensureMobileFilterToggleUI(filterPanelEl);
 
 
   const setStatus = (msg) => {
     if (els.status) els.status.textContent = msg || "";
   };
 
+  // Config problems stay listed above the status line (setStatus would overwrite them)
+  function renderConfigErrors() {
+    if (!els.status) return;
+    let box = document.getElementById("wlConfigErrors");
+    if (!configErrors.length) {
+      box?.remove();
+      return;
+    }
+    if (!box) {
+      box = document.createElement("div");
+      box.id = "wlConfigErrors";
+      box.className = "small";
+      box.style.cssText = "margin-top:10px; padding:6px 8px; border-radius:8px; background:#fef2f2; color:#991b1b;";
+      els.status.insertAdjacentElement("beforebegin", injected(box));
+    }
+    box.innerHTML = configErrors
+      .map((e) => `<div><b>Config error</b> <code>${escapeHtml(e.key)}</code>: ${escapeHtml(e.message)}</div>`)
+      .join("");
+  }
+
+  function applyBranding() {
+    document.title = CONFIG.title;
+    if (els.appTitle) els.appTitle.textContent = CONFIG.title;
+    if (els.appSubtitle && CONFIG.subtitle) els.appSubtitle.textContent = CONFIG.subtitle;
+  }
+
   // =========================
   // State
   // =========================
   const state = {
-    metric: "sales", // "sales" | "tickets"
-    branch: "__ALL__",
-    group: "__ALL__",
+    metric: "sales", // key of METRICS (reset to the first configured metric below)
+    normalize: "none", // key of NORMALIZERS (per resident / household / housing unit)
+    branch: new Set(),   // empty = all branches
+    branchExclude: false, // true = everything except `branch`
+    group: new Set(),    // empty = all groups
+    groupExclude: false,
+    group2: new Set(),   // drill-down levels, only set under a single parent (see GROUP_LEVELS)
+    group2Exclude: false,
+    group3: new Set(),
+    group3Exclude: false,
     startKey: null, // YYYYMMDD int
     endKey: null,   // YYYYMMDD int
+    compare: { enabled: false, startKey: null, endKey: null }, // prior range for compare mode
+    // Alerts overlay (see "Alerts"); threshold is a fraction for "pct", standard deviations for "z"
+    alerts: { enabled: false, weeks: CONFIG.alerts.baselineWeeks, mode: CONFIG.alerts.mode, threshold: defaultAlertThreshold(CONFIG.alerts.mode) },
+    view: "heatmap",        // key of VIEW_MODES
+    classMethod: "quantile", // key of CLASS_METHODS (choropleth)
+    scaleMode: "quantile",  // key of SCALE_MODES (heatmap weight)
+    scaleLocked: false,
+    showPoints: true,       // wl-points layer (legend toggle)
   };
 
+  // Each metric is either a plain numeric property (`prop`) or a per-feature ratio
+  // (`ratio: [numerator, denominator]`). `stops` are the heatmap-weight breakpoints
+  // (value, weight pairs) for that metric's units; `format` is "money" | "number" | "pct".
   const METRICS = {
-    sales: { label: "Sales", prop: "TotalSales" },
-    tickets: { label: "Tickets", prop: "TicketCount" },
+    sales: {
+      label: "Sales",
+      statusLabel: "Sales ($)",
+      prop: "TotalSales",
+      format: "money",
+      stops: [0, 0, 500, 0.25, 2000, 0.6, 10000, 1],
+    },
+    tickets: {
+      label: "Tickets",
+      statusLabel: "Tickets",
+      prop: "TicketCount",
+      format: "number",
+      stops: [0, 0, 500, 0.25, 2000, 0.6, 10000, 1],
+    },
+    profit: {
+      label: "Profit",
+      statusLabel: "Profit ($)",
+      prop: "TotalProfit",
+      format: "money",
+      stops: [0, 0, 100, 0.25, 500, 0.6, 2500, 1],
+    },
+    margin: {
+      label: "Margin %",
+      statusLabel: "Margin % (profit ÷ sales)",
+      ratio: ["TotalProfit", "TotalSales"],
+      format: "pct",
+      stops: [0, 0, 0.1, 0.25, 0.25, 0.6, 0.5, 1],
+    },
+    avgTicket: {
+      label: "Avg Ticket",
+      statusLabel: "Avg Ticket ($ per ticket)",
+      ratio: ["TotalSales", "TicketCount"],
+      format: "money",
+      stops: [0, 0, 50, 0.25, 200, 0.6, 1000, 1],
+    },
+  };
+
+  // CONFIG.metrics picks, orders, overrides or adds metrics; unusable entries are reported
+  // and skipped. Runs before anything reads METRICS (SUM_PROPS, toggles, permalinks).
+  function configureMetrics(list) {
+    if (!list) return;
+    const next = {};
+    list.forEach((item, i) => {
+      const def = typeof item === "string" ? { key: item } : item;
+      const base = METRICS[def.key];
+      const m = { ...(base || {}), ...def };
+      delete m.key;
+      if (!m.label) m.label = def.key;
+      if (!m.statusLabel) m.statusLabel = m.label;
+
+      const err =
+        (!m.prop && !(Array.isArray(m.ratio) && m.ratio.length === 2)) ? "needs prop or ratio: [numerator, denominator]"
+        : !["money", "number", "pct"].includes(m.format) ? 'format must be "money", "number" or "pct"'
+        : !(Array.isArray(m.stops) && m.stops.length >= 4 && m.stops.length % 2 === 0 && m.stops.every(Number.isFinite))
+          ? "stops must be [value, weight, …] pairs"
+        : null;
+      if (err) {
+        configErrors.push({ key: `metrics[${i}]`, message: `${def.key}: ${err}` });
+        console.warn(LOG_PREFIX, `Config metrics[${i}] (${def.key}): ${err}`);
+      } else {
+        next[def.key] = m;
+      }
+    });
+
+    if (!Object.keys(next).length) {
+      configErrors.push({ key: "metrics", message: "no usable metrics; using the built-in list" });
+      return;
+    }
+    for (const k of Object.keys(METRICS)) delete METRICS[k];
+    Object.assign(METRICS, next);
+  }
+
+  configureMetrics(CONFIG.metrics);
+  const DEFAULT_METRIC = Object.keys(METRICS)[0];
+  state.metric = DEFAULT_METRIC;
+
+  // Option tables for the view / class / scale pickers. Declared up here because the
+  // permalink parser validates against them before the map is created.
+  const VIEW_MODES = { heatmap: "Heatmap", choropleth: "Choropleth", share: "Branch share" };
+  const ALERT_MODES = { pct: "% change", z: "z-score" };
+  const CLASS_METHODS = {
+    quantile: "Quantile",
+    equal: "Equal interval",
+    jenks: "Jenks (natural breaks)",
+  };
+  const SCALE_MODES = {
+    quantile: "Quantile",
+    log: "Log",
+    linear: "Linear",
+    fixed: "Fixed",
+  };
+
+  // "Per" options: the metric is divided by the ZIP's `column` from the demographics CSV
+  // (see "Demographic normalization"), times `per`. `short` heads the leaderboard column.
+  const NORMALIZERS = {
+    none: { label: "Raw totals" },
+    population: { label: "Per 1,000 residents", unit: "per 1,000 residents", short: "Per 1k", column: "Population", per: 1000 },
+    households: { label: "Per household", unit: "per household", short: "Per HH", column: "Households", per: 1 },
+    housingUnits: { label: "Per housing unit", unit: "per housing unit", short: "Per unit", column: "Housing units", per: 1 },
   };
 
   // =========================
   // Helpers
   // =========================
+  const fmtMoney = (v) => {
+    const n = Number(v);
+    if (!isFinite(n)) return "$0.00";
+    return n.toLocaleString(undefined, { style: "currency", currency: "USD" });
+  };
+
+  const fmtNum = (v) => {
+    const n = Number(v);
+    if (!isFinite(n)) return "0";
+    return n.toLocaleString();
+  };
+
+  const fmtPct = (v) => {
+    const n = Number(v);
+    if (!isFinite(n)) return "—";
+    return n.toLocaleString(undefined, { style: "percent", minimumFractionDigits: 1, maximumFractionDigits: 1 });
+  };
+
+  const escapeHtml = (v) => String(v ?? "")
+    .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+  // "$12.3K" style for tight table cells
+  const fmtCompactMoney = (v) => {
+    const n = Number(v);
+    if (!isFinite(n)) return "$0";
+    return n.toLocaleString(undefined, { style: "currency", currency: "USD", notation: "compact", maximumFractionDigits: 1 });
+  };
+
+  function formatMetric(v, metricKey) {
+    const fmt = (METRICS[metricKey] || METRICS[DEFAULT_METRIC]).format;
+    if (fmt === "pct") return fmtPct(v);
+    if (fmt === "number") return fmtNum(v);
+    return fmtMoney(v);
+  }
+
+  // YYYYMMDD int -> "YYYY-MM-DD" for <input type="date"> ("" when missing)
+  function keyToInputDate(key) {
+    if (!key) return "";
+    const y = Math.floor(key / 10000);
+    const m = Math.floor((key % 10000) / 100);
+    const d = key % 100;
+    return `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+  }
+
   function dateToKey(yyyy_mm_dd) {
     // input from <input type="date"> is "YYYY-MM-DD"
     if (!yyyy_mm_dd) return null;
@@ -397,7 +1190,7 @@ function keyToDate(key) {
   return new Date(y, m - 1, d);
 }
 
-// Format Date -> "M/D/YYYY" (no leading zeros), matching tileset "﻿SaleDate" values
+// Format Date -> "M/D/YYYY" (no leading zeros)
 function formatMDY(dt) {
   const m = dt.getMonth() + 1;
   const d = dt.getDate();
@@ -405,231 +1198,1206 @@ function formatMDY(dt) {
   return `${m}/${d}/${y}`;
 }
 
-// Build an array of "M/D/YYYY" strings between startKey and endKey (inclusive)
-function buildAllowedSaleDates(startKey, endKey) {
-  const sdt = keyToDate(startKey);
-  const edt = keyToDate(endKey);
-  if (!sdt || !edt) return [];
-  // normalize to midnight
-  sdt.setHours(0,0,0,0);
-  edt.setHours(0,0,0,0);
-
-  const dayMs = 24 * 60 * 60 * 1000;
-  const days = Math.round((edt - sdt) / dayMs);
-  if (days < 0) return [];
-  // guard: avoid massive literal arrays in filters
-  if (days > 370) {
-    console.warn("[WLHeatmap] Date range too large for SaleDate string filter:", days, "days. Narrow the range or add SaleDateKey to the layer properties.");
-    return [];
-  }
-
-  const out = [];
-  for (let i = 0; i <= days; i++) {
-    const dt = new Date(sdt.getTime() + i * dayMs);
-    out.push(formatMDY(dt));
-  }
-  return out;
+// Two YYYYMMDD keys -> "M/D/YYYY → M/D/YYYY" ("…" for an open end)
+function formatKeyRange(startKey, endKey) {
+  return `${startKey ? formatMDY(keyToDate(startKey)) : "…"} → ${endKey ? formatMDY(keyToDate(endKey)) : "…"}`;
 }
 
+  // Property name inside Mapbox expressions. Tiled data keeps its own names (detected by
+  // the schema step, or CONFIG.fields until the first tiles load); in-memory data was
+  // rewritten to the canonical names at load. null = the data has no such field.
+  function sourceField(canonicalName) {
+    if (!isTiledSource()) return canonicalName;
+    const key = Object.keys(CANONICAL_FIELDS).find((k) => CANONICAL_FIELDS[k] === canonicalName);
+    if (!key) return canonicalName;
+    return schema.detected ? (schema.fields[key] || null) : CONFIG.fields[key];
+  }
 
   function safeToNumberExpr(propName) {
-  return ["coalesce", ["to-number", ["get", propName]], 0];
-}
-
-  // Build numeric YYYYMMDD from the tileset's M/D/YYYY string in "﻿SaleDate"
-  // Example: "2/11/2026" => 20260211
- // Build numeric YYYYMMDD from the tileset's M/D/YYYY string in "﻿SaleDate"
-// Example: "2/11/2026" => 20260211
-
-// =========================
-// Date filtering
-// =========================
-// IMPORTANT:
-// Mapbox GL JS v3 style validation is rejecting string-parsing expressions (split/at/etc.)
-// inside filters in your environment. The robust fix is to filter on a precomputed numeric
-// field in the tileset called `SaleDateKey` (YYYYMMDD as a NUMBER).
-//
-// Example property per feature:
-//   SaleDateKey: 20260219
-//
-// If SaleDateKey is missing, the date filter will be skipped (and we’ll surface a status note).
-function saleDateKeyExpr() {
-    return [
-      "coalesce",
-      ["to-number", ["get", "SaleDateKey"]],
-      ["to-number", ["get", "\ufeffSaleDateKey"]],
-      0,
-    ];
+    const field = sourceField(propName);
+    return field ? ["coalesce", ["to-number", ["get", field]], 0] : 0;
   }
 
-function tilesetHasSaleDateKey() {
-    try {
-      // Prefer querySourceFeatures (sees properties even if not currently rendered)
-      const sfeats = map.querySourceFeatures(SOURCE_ID, { sourceLayer: SOURCE_LAYER });
-      const sp = sfeats?.[0]?.properties;
-      if (sp) return (sp.SaleDateKey != null || sp["\ufeffSaleDateKey"] != null);
-
-      // Fallback: rendered features
-      const feats = map.queryRenderedFeatures({ layers: [POINT_LAYER_ID] });
-      const p = feats?.[0]?.properties;
-      return !!(p && (p.SaleDateKey != null || p["\ufeffSaleDateKey"] != null));
-    } catch {
-      return false;
+  // Per-feature value of a metric as a Mapbox expression (ratios are 0 when the denominator is 0)
+  function metricValueExpr(metricKey) {
+    const m = METRICS[metricKey] || METRICS[DEFAULT_METRIC];
+    if (m.ratio) {
+      const [num, den] = m.ratio;
+      const denExpr = safeToNumberExpr(den);
+      return ["case", [">", denExpr, 0], ["/", safeToNumberExpr(num), denExpr], 0];
     }
-}
-
-
-  function buildFilterExpr() {
-    const expr = ["all"];
+    return safeToNumberExpr(m.prop);
+  }
 
-    if (state.branch && state.branch !== "__ALL__") {
-      expr.push(["==", ["get", "BranchName"], state.branch]);
-    }
+  // `stops` defaults to the metric's fixed breakpoints (see heatScale for data-driven ones).
+  // Normalized, each point is scaled by its ZIP's factor, so a ZIP's points add up to its per-unit value.
+  function heatWeightExpr(metricKey, stops = (METRICS[metricKey] || METRICS[DEFAULT_METRIC]).stops) {
+    const value = isNormalized(metricKey) ? ["*", metricValueExpr(metricKey), normalizeFactorExpr()] : metricValueExpr(metricKey);
+    return ["interpolate", ["linear"], value, ...stops];
+  }
 
-    if (state.group && state.group !== "__ALL__") {
-      expr.push(["==", ["get", "ProductGroupLevel1"], state.group]);
-    }
+  // =========================
+  // Date filtering
+  // - Filters compare a numeric YYYYMMDD key, so any range length is exact
+  // - In-memory data carries a canonical SaleDateKey (schema normalization)
+  // - Tiled data uses its key field when a feature has one, else parses the date string
+  //   in the expression itself: M/D/YYYY via index-of/slice, ISO via fixed slices,
+  //   "20260219" via to-number. (index-of/slice are core style-spec expressions; the
+  //   split/at style parsing tried earlier isn't, which is why validation rejected it.)
+  // =========================
+  function dateStringKeyExpr(strExpr) {
+    const v = (name) => ["var", name];
+    const num = (e) => ["to-number", e, 0];
+    return ["let", "s", strExpr,
+      ["case",
+        [">=", ["index-of", "/", v("s")], 0],
+        ["let", "i", ["index-of", "/", v("s")],
+          ["let", "r", ["slice", v("s"), ["+", v("i"), 1]],
+            ["let", "j", ["index-of", "/", v("r")],
+              ["+",
+                ["*", num(["slice", v("r"), ["+", v("j"), 1], ["+", v("j"), 5]]), 10000],
+                ["*", num(["slice", v("s"), 0, v("i")]), 100],
+                num(["slice", v("r"), 0, v("j")])]]]],
+        [">=", ["index-of", "-", v("s")], 0],
+        ["+",
+          ["*", num(["slice", v("s"), 0, 4]), 10000],
+          ["*", num(["slice", v("s"), 5, 7]), 100],
+          num(["slice", v("s"), 8, 10])],
+        num(v("s"))]];
+  }
 
+  // null when the data has no date field at all
+  function saleDateKeyExpr() {
+    if (!isTiledSource()) return ["to-number", ["get", "SaleDateKey"], 0];
+    const keyF = sourceField("SaleDateKey");
+    const strF = sourceField("SaleDate");
+    if (!keyF && !strF) return null;
 
+    const parsed = strF ? dateStringKeyExpr(["to-string", ["get", strF]]) : 0;
+    return keyF ? ["case", ["has", keyF], ["to-number", ["get", keyF], 0], parsed] : parsed;
+  }
 
-const dk = saleDateKeyExpr();
+  // Date range defaults to state; time-lapse passes a single window instead
+  function buildFilterExpr({ startKey = state.startKey, endKey = state.endKey } = {}) {
+    const expr = ["all"];
 
-// Date filter prefers numeric SaleDateKey when available.
-// If it isn't available via client-side feature properties, fall back to matching the raw "M/D/YYYY" SaleDate strings.
-const canDateFilter = tilesetHasSaleDateKey();
+    const pushSetFilter = (prop, values, exclude) => {
+      if (!values || !values.size) return;
+      const field = sourceField(prop);
+      if (!field) return; // reported by filterWarnings()
+      const inExpr = ["in", ["to-string", ["get", field]], ["literal", Array.from(values)]];
+      expr.push(exclude ? ["!", inExpr] : inExpr);
+    };
 
-if (canDateFilter) {
-  if (state.startKey != null) expr.push([">=", dk, state.startKey]);
-  if (state.endKey != null) expr.push(["<=", dk, state.endKey]);
-} else if (state.startKey != null || state.endKey != null) {
-  // Fallback: build list of allowed dates and filter on the BOM SaleDate field directly.
-  // Works without parsing inside Mapbox expressions (avoids GL JS v3 validation issues).
-  const sKey = state.startKey ?? state.endKey;
-  const eKey = state.endKey ?? state.startKey;
-  const allowed = buildAllowedSaleDates(sKey, eKey);
+    pushSetFilter("BranchName", state.branch, state.branchExclude);
+    for (const lvl of GROUP_LEVELS) pushSetFilter(lvl.field, state[lvl.key], state[`${lvl.key}Exclude`]);
 
-  if (allowed.length) {
-    expr.push(["in", ["get", BOM_SALEDATE_FIELD], ["literal", allowed]]);
-  } else {
-    console.warn("[WLHeatmap] Date filter skipped — SaleDateKey not visible and allowed date list is empty/too large.");
-  }
-}return expr;
+    const dk = (startKey != null || endKey != null) ? saleDateKeyExpr() : null;
+    if (dk) {
+      if (startKey != null) expr.push([">=", dk, startKey]);
+      if (endKey != null) expr.push(["<=", dk, endKey]);
+    }
+    return expr;
   }
 
   function setMetricUI(metric) {
+    if (!METRICS[metric]) metric = DEFAULT_METRIC;
     state.metric = metric;
-    const isSales = metric === "sales";
-    els.metricSales?.classList.toggle("active", isSales);
-    els.metricTickets?.classList.toggle("active", !isSales);
+    els.metricToggles?.querySelectorAll("[data-metric]").forEach((btn) => {
+      btn.classList.toggle("active", btn.dataset.metric === metric);
+    });
     log("Metric set to", METRICS[metric].label);
   }
 
+  function setViewUI(view) {
+    if (!VIEW_MODES[view]) view = "heatmap";
+    state.view = view;
+    els.viewToggles?.querySelectorAll("[data-view]").forEach((btn) => {
+      btn.classList.toggle("active", btn.dataset.view === view);
+    });
+    if (els.classMethod) els.classMethod.disabled = view !== "choropleth";
+  }
+
+  function setClassMethodUI(method) {
+    state.classMethod = CLASS_METHODS[method] ? method : "quantile";
+    if (els.classMethod) els.classMethod.value = state.classMethod;
+  }
+
+  // One toggle button per METRICS entry (replaces the old fixed Sales/Tickets buttons)
+  function buildMetricToggles() {
+    if (!els.metricToggles) return;
+    els.metricToggles.innerHTML = "";
+    for (const [key, m] of Object.entries(METRICS)) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "toggleBtn";
+      btn.dataset.metric = key;
+      btn.textContent = m.label;
+      btn.title = m.statusLabel;
+      els.metricToggles.appendChild(injected(btn));
+    }
+  }
+
   // =========================
   // Map init
   // =========================
   log("Booting...");
 
+  const DEFAULT_CENTER = CONFIG.mapbox.center;
+  const DEFAULT_ZOOM = CONFIG.mapbox.zoom;
+  const initialView = readViewFromHash();
+
   const map = new mapboxgl.Map({
     container: mapEl,
-    style: "mapbox://styles/mapbox/light-v11",
-    center: [-96.7, 30.6],
-    zoom: 6.3,
+    style: CONFIG.mapbox.style,
+    center: initialView?.center || DEFAULT_CENTER,
+    zoom: initialView?.zoom ?? DEFAULT_ZOOM,
+    bearing: initialView?.bearing ?? 0,
+    pitch: initialView?.pitch ?? 0,
   });
 
   map.addControl(new mapboxgl.NavigationControl({ visualizePitch: true }), "top-right");
 
-  // Debug helper
-  window.WLdbg = () => {
+  // A rejected token or a missing style means "load" never fires; other errors (tiles, sprites)
+  // are survivable and left to Mapbox's own logging
+  let mapLoaded = false;
+  map.on("error", (e) => {
+    const status = e.error?.status;
+    if (mapLoaded || e.sourceId || ![401, 403, 404].includes(status)) return;
+    failStartup("map", e.error, `Map style failed to load (HTTP ${status}; check mapbox.accessToken and mapbox.style)`);
+  });
+
+  // =========================
+  // Permalinks (URL hash)
+  // - #b=Mexia&b=Groesbeck&bx=1&g=Lumber&s=20260101&e=20260331&m=profit&c=-96.7,30.6&z=6.3&br=0&p=0
+  // - Group drill-down adds g2=Treated&g3=2x6 (g2x/g3x = exclude); compare mode adds cmp=1&cs=20250101&ce=20250331;
+  //   choropleth adds v=choropleth&cm=jenks; heat scale sc=log; "Per" n=households;
+  //   alerts al=1 (aw=26&am=z&at=2.5 when they differ from CONFIG.alerts)
+  // - Filter applies push a history entry (back/forward); camera moves replace the current one
+  // =========================
+  const hashSync = { restoring: false };
+
+  function readViewFromHash() {
+    return parseViewQuery(window.location.hash);
+  }
+
+  // Parse a permalink query ("b=…&m=…", with or without the leading "#"); null when empty
+  function parseViewQuery(query) {
+    const raw = String(query || "").replace(/^#/, "");
+    if (!raw) return null;
+    const q = new URLSearchParams(raw);
+    const num = (k) => {
+      const v = q.get(k);
+      if (v == null || v === "") return null;
+      const n = Number(v);
+      return isFinite(n) ? n : null;
+    };
+    const key = (k) => {
+      const v = q.get(k);
+      return (v && /^\d{8}$/.test(v)) ? Number(v) : null;
+    };
+    const c = (q.get("c") || "").split(",").map(Number);
+
+    return {
+      branch: q.getAll("b"),
+      branchExclude: q.get("bx") === "1",
+      ...Object.fromEntries(GROUP_LEVELS.flatMap((lvl) => [
+        [lvl.key, q.getAll(lvl.hash)],
+        [`${lvl.key}Exclude`, q.get(`${lvl.hash}x`) === "1"],
+      ])),
+      startKey: key("s"),
+      endKey: key("e"),
+      metric: METRICS[q.get("m")] ? q.get("m") : null,
+      normalize: NORMALIZERS[q.get("n")] ? q.get("n") : null,
+      view: VIEW_MODES[q.get("v")] ? q.get("v") : null,
+      classMethod: CLASS_METHODS[q.get("cm")] ? q.get("cm") : null,
+      scaleMode: SCALE_MODES[q.get("sc")] ? q.get("sc") : null,
+      compare: q.get("cmp") === "1",
+      compareStartKey: key("cs"),
+      compareEndKey: key("ce"),
+      alerts: {
+        enabled: q.get("al") === "1",
+        weeks: num("aw"),
+        mode: ALERT_MODES[q.get("am")] ? q.get("am") : null,
+        threshold: num("at"),
+      },
+      center: (c.length === 2 && c.every(isFinite)) ? c : null,
+      zoom: num("z"),
+      bearing: num("br"),
+      pitch: num("p"),
+    };
+  }
+
+  function viewToHash() {
+    return `#${viewToQuery()}`;
+  }
+
+  function viewToQuery() {
+    const q = new URLSearchParams();
+    for (const b of state.branch) q.append("b", b);
+    if (state.branchExclude && state.branch.size) q.set("bx", "1");
+    for (const lvl of GROUP_LEVELS) {
+      for (const g of state[lvl.key]) q.append(lvl.hash, g);
+      if (state[`${lvl.key}Exclude`] && state[lvl.key].size) q.set(`${lvl.hash}x`, "1");
+    }
+    if (state.startKey != null) q.set("s", String(state.startKey));
+    if (state.endKey != null) q.set("e", String(state.endKey));
+    q.set("m", state.metric);
+    if (state.normalize !== "none") q.set("n", state.normalize);
+    if (state.view !== "heatmap") q.set("v", state.view);
+    if (state.classMethod !== "quantile") q.set("cm", state.classMethod);
+    if (state.scaleMode !== "quantile") q.set("sc", state.scaleMode);
+    if (state.compare.enabled) q.set("cmp", "1");
+    if (state.compare.startKey != null) q.set("cs", String(state.compare.startKey));
+    if (state.compare.endKey != null) q.set("ce", String(state.compare.endKey));
+    if (state.alerts.enabled) q.set("al", "1");
+    if (state.alerts.weeks !== CONFIG.alerts.baselineWeeks) q.set("aw", String(state.alerts.weeks));
+    if (state.alerts.mode !== CONFIG.alerts.mode) q.set("am", state.alerts.mode);
+    if (state.alerts.threshold !== defaultAlertThreshold(state.alerts.mode)) q.set("at", String(state.alerts.threshold));
+
+    const c = map.getCenter();
+    q.set("c", `${c.lng.toFixed(5)},${c.lat.toFixed(5)}`);
+    q.set("z", map.getZoom().toFixed(2));
+    const bearing = map.getBearing();
+    const pitch = map.getPitch();
+    if (Math.abs(bearing) > 0.05) q.set("br", bearing.toFixed(1));
+    if (pitch > 0.05) q.set("p", pitch.toFixed(1));
+
+    return q.toString();
+  }
+
+  function updateHash({ push = false } = {}) {
+    if (hashSync.restoring) return;
+    const next = viewToHash();
+    if (next === window.location.hash) return;
     try {
-      const feats = map.queryRenderedFeatures({ layers: ["wl-points"] });
-      const p = feats?.[0]?.properties;
-      console.log("[WLHeatmap] sample feature properties:", p);
-      if (p) {
-        console.log("[WLHeatmap] keys:", Object.keys(p).sort());
-        console.log("[WLHeatmap] SaleDateKey:", p.SaleDateKey, "SaleDate:", p.SaleDate, "BOM SaleDate:", p["\ufeffSaleDate"]); 
-      }
-      return feats?.[0]?.properties;
+      // BisTrack WebViews can run from about:blank / sandboxed frames where history throws
+      window.history[push ? "pushState" : "replaceState"](null, "", next);
     } catch (e) {
-      console.warn("[WLHeatmap] WLdbg error:", e);
-      return null;
+      console.warn(LOG_PREFIX, "Could not update URL hash:", e);
     }
-  };
+  }
+
+  // Push a view (from the hash) into the pickers, date inputs and metric toggle.
+  // Missing pieces fall back to defaults so back-navigation to "#" clears everything.
+  function applyViewToUI(view, { camera = false } = {}) {
+    const v = view || {};
+    branchPicker?.setSelection(v.branch || [], !!v.branchExclude);
+    GROUP_LEVELS.forEach((lvl, i) => groupLevelPickers[i]?.setSelection(v[lvl.key] || [], !!v[`${lvl.key}Exclude`]));
+    syncGroupLevels();
+    if (els.startDate) els.startDate.value = keyToInputDate(v.startKey);
+    if (els.endDate) els.endDate.value = keyToInputDate(v.endKey);
+    if (els.compareToggle) els.compareToggle.checked = !!v.compare;
+    if (els.compareStart) els.compareStart.value = keyToInputDate(v.compareStartKey);
+    if (els.compareEnd) els.compareEnd.value = keyToInputDate(v.compareEndKey);
+    setMetricUI(v.metric || DEFAULT_METRIC);
+    setNormalizeUI(v.normalize || "none");
+    setViewUI(v.view || "heatmap");
+    setClassMethodUI(v.classMethod || "quantile");
+    setAlertsUI(v.alerts);
+    // A locked scale is deliberately kept across back/forward so views stay comparable
+    setScaleUI(v.scaleMode || "quantile", state.scaleLocked && (v.scaleMode || "quantile") === state.scaleMode);
+
+    if (camera) {
+      map.jumpTo({
+        center: v.center || DEFAULT_CENTER,
+        zoom: v.zoom ?? DEFAULT_ZOOM,
+        bearing: v.bearing ?? 0,
+        pitch: v.pitch ?? 0,
+      });
+    }
+  }
+
+  // Restore the view from the hash and apply it without pushing a new history entry
+  function restoreViewFromHash({ camera = false } = {}) {
+    hashSync.restoring = true;
+    try {
+      applyViewToUI(readViewFromHash(), { camera });
+      updateMetricPaint();
+      applyFilters();
+    } finally {
+      hashSync.restoring = false;
+    }
+  }
 
   // =========================
-  // Load filters
+  // Saved views (sidebar "Saved views")
+  // - A saved view is a name plus the permalink query (filters, metric, view, camera)
+  // - Stored in localStorage under SAVED_VIEWS_STORAGE_KEY so they survive dashboard reloads
+  // - Export / import as a JSON file; importing replaces views with the same name
+  // - One view can be the default, applied at boot when the URL has no hash
   // =========================
-  async function loadFilters() {
-    log("Loading filter lists...");
-    setStatus("Loading filters…");
+  const SAVED_VIEWS_STORAGE_KEY = "wlHeatmap.savedViews";
+  const SAVED_VIEWS_FILE_KIND = "wl-heatmap-saved-views";
+
+  const savedViews = {
+    list: [],         // [{ id, name, query }]
+    defaultId: null,
+    nextId: 1,
+  };
 
+  function loadSavedViews() {
     try {
-      const res = await fetch(FILTERS_URL, { cache: "no-store" });
-      if (!res.ok) throw new Error(`filters.json HTTP ${res.status}`);
-      const data = await res.json();
+      const raw = window.localStorage.getItem(SAVED_VIEWS_STORAGE_KEY);
+      const data = raw ? JSON.parse(raw) : null;
+      savedViews.list = [];
+      for (const v of Array.isArray(data?.views) ? data.views : []) {
+        if (!v?.name || typeof v.query !== "string") continue;
+        savedViews.list.push({ id: `view-${savedViews.nextId++}`, name: String(v.name), query: v.query });
+      }
+      const def = savedViews.list.find((v) => v.name === data?.defaultName);
+      savedViews.defaultId = def ? def.id : null;
+    } catch (e) {
+      console.warn(LOG_PREFIX, "Could not read saved views:", e);
+    }
+  }
 
-      const branches = Array.isArray(data.branches) ? data.branches : [];
-      const groups = Array.isArray(data.groups) ? data.groups : [];
+  // Same shape as the export file, minus the kind/version header
+  function savedViewsPayload() {
+    const def = savedViews.list.find((v) => v.id === savedViews.defaultId);
+    return {
+      defaultName: def ? def.name : null,
+      views: savedViews.list.map(({ name, query }) => ({ name, query })),
+    };
+  }
 
-      if (els.branchSelect) {
-        for (const b of branches) {
-          const opt = document.createElement("option");
-          opt.value = b;
-          opt.textContent = b;
-          els.branchSelect.appendChild(opt);
-        }
-      }
+  function persistSavedViews() {
+    try {
+      window.localStorage.setItem(SAVED_VIEWS_STORAGE_KEY, JSON.stringify(savedViewsPayload()));
+    } catch (e) {
+      console.warn(LOG_PREFIX, "Could not save views:", e);
+      setStatus("Could not save views (browser storage unavailable).");
+    }
+  }
 
-      if (els.groupSelect) {
-        for (const g of groups) {
-          const opt = document.createElement("option");
-          opt.value = g;
-          opt.textContent = g;
-          els.groupSelect.appendChild(opt);
-        }
-      }
+  function defaultSavedView() {
+    return savedViews.list.find((v) => v.id === savedViews.defaultId) || null;
+  }
 
-      log(`Loaded filters.json • ${branches.length} branches • ${groups.length} groups`);
-      setStatus(`Loaded ${branches.length} branches • ${groups.length} product groups`);
-    } catch (err) {
-      console.warn(LOG_PREFIX, "filters.json load failed:", err);
-      setStatus("Could not load filters.json (check path).");
+  function saveCurrentView(name) {
+    const clean = String(name || "").trim();
+    if (!clean) {
+      setStatus("Enter a name for the view first.");
+      return null;
     }
+    const query = viewToQuery();
+    let v = savedViews.list.find((x) => x.name === clean);
+    if (v) v.query = query;
+    else {
+      v = { id: `view-${savedViews.nextId++}`, name: clean, query };
+      savedViews.list.push(v);
+    }
+    persistSavedViews();
+    renderSavedViews();
+    setStatus(`Saved view "${clean}".`);
+    return v;
   }
 
-  // =========================
-  // Layers (appearance unchanged)
-  // =========================
-  const SOURCE_ID = "wl-zip-sales";
-  const HEAT_LAYER_ID = "wl-heat";
-  const POINT_LAYER_ID = "wl-points";
+  // Applies like a permalink: filters + camera, with a new history entry
+  function applySavedView(v) {
+    applyViewToUI(parseViewQuery(v.query), { camera: true });
+    updateMetricPaint();
+    applyFilters();
+  }
 
-  const HIT_LAYER_ID = "wl-points-hit";
-  function ensureLayers() {
-    if (!map.getSource(SOURCE_ID)) {
-      map.addSource(SOURCE_ID, {
-        type: "vector",
-        url: `mapbox://${TILESET_ID}`,
-      });
+  function exportSavedViews() {
+    const body = { kind: SAVED_VIEWS_FILE_KIND, version: 1, ...savedViewsPayload() };
+    downloadBlob(new Blob([JSON.stringify(body, null, 2)], { type: "application/json" }), `wl-heatmap-views-${exportTimestamp()}.json`);
+  }
+
+  async function importSavedViews(file) {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (e) {
+      setStatus(`Could not import views: ${file.name} is not valid JSON.`);
+      return 0;
+    }
+    if (data?.kind !== SAVED_VIEWS_FILE_KIND || !Array.isArray(data.views)) {
+      setStatus(`Could not import views: ${file.name} is not a saved-views file.`);
+      return 0;
     }
 
-    const metricProp = METRICS[state.metric].prop;
-    const metricNum = safeToNumberExpr(metricProp);
+    let count = 0;
+    for (const iv of data.views) {
+      if (!iv?.name || typeof iv.query !== "string") continue;
+      const name = String(iv.name).trim();
+      const existing = savedViews.list.find((v) => v.name === name);
+      if (existing) existing.query = iv.query;
+      else savedViews.list.push({ id: `view-${savedViews.nextId++}`, name, query: iv.query });
+      count++;
+    }
+    // The file's default only wins when this browser doesn't have one yet
+    if (!savedViews.defaultId && data.defaultName) {
+      savedViews.defaultId = savedViews.list.find((v) => v.name === data.defaultName)?.id || null;
+    }
 
-    if (!map.getLayer(HEAT_LAYER_ID)) {
-      map.addLayer({
-        id: HEAT_LAYER_ID,
-        type: "heatmap",
-        source: SOURCE_ID,
-        "source-layer": SOURCE_LAYER,
-        paint: {
-          "heatmap-weight": [
-            "interpolate", ["linear"], metricNum,
-            0, 0,
-            500, 0.25,
-            2000, 0.6,
-            10000, 1
-          ],
-          "heatmap-intensity": [
+    persistSavedViews();
+    renderSavedViews();
+    setStatus(`Imported ${count} saved view${count === 1 ? "" : "s"} from ${file.name}.`);
+    return count;
+  }
+
+  function ensureSavedViewsStyle() {
+    if (document.getElementById("wlSavedViewsStyle")) return;
+    const st = document.createElement("style");
+    st.id = "wlSavedViewsStyle";
+    st.textContent = `
+      #savedViews .wl-sv-new{ display:grid; grid-template-columns:1fr auto; gap:6px; }
+      #savedViews .wl-sv-new button{ width:auto; }
+      #savedViews .wl-sv-list{ margin-top:6px; }
+      #savedViews .wl-sv-item{ display:flex; align-items:center; gap:4px; margin-top:4px; }
+      #savedViews .wl-sv-item input{ flex:1; min-width:0; padding:4px 6px; font-size:12px; }
+      #savedViews .wl-sv-item button{
+        width:auto;
+        padding:4px 6px;
+        font-size:12px;
+        background:#f3f4f6;
+        color:#111827;
+        -webkit-text-fill-color:#111827;
+        border:1px solid #d1d5db;
+      }
+      #savedViews .wl-sv-item button.is-default{ background:#fef3c7; border-color:#f59e0b; }
+      #savedViews .wl-sv-io{ margin-top:6px; }
+    `;
+    document.head.appendChild(injected(st));
+  }
+
+  function buildSavedViewsUI() {
+    const root = els.savedViews;
+    if (!root) return;
+    ensureSavedViewsStyle();
+
+    root.insertAdjacentHTML("beforeend", `
+      <div class="wl-sv-new">
+        <input type="text" placeholder="Name this view…" aria-label="View name" />
+        <button type="button" data-act="save">Save</button>
+      </div>
+      <div class="wl-sv-list"></div>
+      <div class="toggles wl-sv-io">
+        <button type="button" class="toggleBtn" data-act="export">Export JSON</button>
+        <button type="button" class="toggleBtn" data-act="import">Import JSON</button>
+      </div>
+      <input type="file" accept="application/json,.json" hidden />
+    `);
+
+    const nameInput = root.querySelector(".wl-sv-new input");
+    const fileInput = root.querySelector('input[type="file"]');
+
+    nameInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter" && saveCurrentView(nameInput.value)) nameInput.value = "";
+    });
+    fileInput.addEventListener("change", async () => {
+      const file = fileInput.files?.[0];
+      fileInput.value = "";
+      if (file) await importSavedViews(file);
+    });
+
+    root.addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-act]");
+      if (!btn) return;
+      const act = btn.dataset.act;
+      if (act === "save") {
+        if (saveCurrentView(nameInput.value)) nameInput.value = "";
+        return;
+      }
+      if (act === "export") return exportSavedViews();
+      if (act === "import") return fileInput.click();
+
+      const item = btn.closest("[data-id]");
+      const idx = savedViews.list.findIndex((v) => v.id === item?.dataset.id);
+      if (idx < 0) return;
+      const v = savedViews.list[idx];
+
+      if (act === "apply") {
+        filterDrawer?.setOpen(false);
+        applySavedView(v);
+        return;
+      }
+      if (act === "default") savedViews.defaultId = (savedViews.defaultId === v.id) ? null : v.id;
+      else if (act === "up" && idx > 0) savedViews.list.splice(idx - 1, 0, ...savedViews.list.splice(idx, 1));
+      else if (act === "down" && idx < savedViews.list.length - 1) savedViews.list.splice(idx + 1, 0, ...savedViews.list.splice(idx, 1));
+      else if (act === "delete") {
+        savedViews.list.splice(idx, 1);
+        if (savedViews.defaultId === v.id) savedViews.defaultId = null;
+      }
+      persistSavedViews();
+      renderSavedViews();
+    });
+
+    // Rename in place
+    root.querySelector(".wl-sv-list").addEventListener("change", (e) => {
+      const item = e.target.closest("[data-id]");
+      const v = item && savedViews.list.find((x) => x.id === item.dataset.id);
+      if (!v) return;
+      const name = e.target.value.trim();
+      if (name && !savedViews.list.some((x) => x !== v && x.name === name)) v.name = name;
+      persistSavedViews();
+      renderSavedViews();
+    });
+
+    renderSavedViews();
+  }
+
+  function renderSavedViews() {
+    const listEl = els.savedViews?.querySelector(".wl-sv-list");
+    if (!listEl) return;
+    if (!savedViews.list.length) {
+      listEl.innerHTML = `<div class="small">No saved views yet.</div>`;
+      return;
+    }
+    listEl.innerHTML = savedViews.list.map((v) => {
+      const isDefault = v.id === savedViews.defaultId;
+      return `
+        <div class="wl-sv-item" data-id="${v.id}">
+          <input type="text" value="${escapeHtml(v.name)}" aria-label="Rename view" />
+          <button type="button" data-act="apply" title="Apply this view">Go</button>
+          <button type="button" data-act="default" class="${isDefault ? "is-default" : ""}"
+            title="${isDefault ? "Default at startup (click to unset)" : "Use at startup"}">${isDefault ? "★" : "☆"}</button>
+          <button type="button" data-act="up" title="Move up">↑</button>
+          <button type="button" data-act="down" title="Move down">↓</button>
+          <button type="button" data-act="delete" title="Delete">✕</button>
+        </div>
+      `;
+    }).join("");
+  }
+
+  // =========================
+  // Filter option lists
+  // - Options come from the loaded features (BranchName / ProductGroupLevel1)
+  // - filters.json is optional: it sets the sort order (listed values first) and is
+  //   checked against the data, with missing values listed in filterWarnings(); the check
+  //   needs every record, so tiled sources run it against data.totals or say it can't run
+  // - Each option shows its record count and active-metric total under the *other* filters
+  // =========================
+  const filterLists = {
+    override: { branches: [], groups: [] }, // from filters.json
+    missing: [], // ["branch \"X\"", …] override values with no records in the complete data
+    warned: new Set(),
+  };
+
+  async function loadFilters() {
+    log("Loading filter overrides...");
+
+    try {
+      const res = await fetch(CONFIG.urls.filters, { cache: "no-store" });
+      if (!res.ok) throw new Error(`filters.json HTTP ${res.status}`);
+      const data = await res.json();
+
+      filterLists.override.branches = Array.isArray(data.branches) ? data.branches.map(String) : [];
+      filterLists.override.groups = Array.isArray(data.groups) ? data.groups.map(String) : [];
+
+      branchPicker?.setOptions(filterLists.override.branches);
+      groupPicker?.setOptions(filterLists.override.groups);
+
+      log(`Loaded filters.json • ${filterLists.override.branches.length} branches • ${filterLists.override.groups.length} groups (sort order)`);
+    } catch (err) {
+      log("No filters.json override (options will come from the data only):", err.message || err);
+    }
+  }
+
+  // Override values first (in file order), then any others from the data A→Z
+  function orderedOptions(overrideList, dataValues, selected) {
+    const seen = new Set(overrideList);
+    const extra = Array.from(new Set([...dataValues, ...selected]))
+      .filter((v) => !seen.has(v))
+      .sort((a, b) => a.localeCompare(b));
+    return [...overrideList, ...extra];
+  }
+
+  // `where` (optional) narrows the features further, e.g. to one parent group
+  function facetTotals(features, prop, ignore, where = null) {
+    const out = new Map();
+    for (const f of features) {
+      if (where && !where(f.properties)) continue;
+      if (!featureMatchesFilters(f.properties, { ignore })) continue;
+      const v = String(f.properties[prop] ?? "");
+      if (!v) continue;
+      let t = out.get(v);
+      if (!t) {
+        t = { records: 0 };
+        for (const sp of SUM_PROPS) t[sp] = 0;
+        out.set(v, t);
+      }
+      t.records += 1;
+      for (const sp of SUM_PROPS) t[sp] += Number(f.properties[sp]) || 0;
+    }
+    return out;
+  }
+
+  function refreshFilterOptions() {
+    const features = collectSourceFeatures();
+    if (!features.length) return;
+
+    // Every value present in the data (not just under the current filters)
+    const allBranches = new Set();
+    const allGroups = new Set();
+    for (const f of features) {
+      if (f.properties.BranchName != null) allBranches.add(String(f.properties.BranchName));
+      if (f.properties.ProductGroupLevel1 != null) allGroups.add(String(f.properties.ProductGroupLevel1));
+    }
+
+    const findMissing = (list, present, label) => list.filter((v) => !present.has(v)).map((v) => {
+      const key = `${label}:${v}`;
+      if (!filterLists.warned.has(key)) {
+        filterLists.warned.add(key);
+        console.warn(LOG_PREFIX, `filters.json ${label} "${v}" has no records.`);
+      }
+      return `${label} "${v}"`;
+    });
+    // Loaded tiles only hold part of the data, so only check once the whole set is known
+    if (hasCompleteData()) {
+      filterLists.missing = [
+        ...findMissing(filterLists.override.branches, allBranches, "branch"),
+        ...findMissing(filterLists.override.groups, allGroups, "group"),
+      ];
+    }
+
+    const toMeta = (totals, values) => {
+      const meta = new Map();
+      for (const v of values) {
+        const t = totals.get(v);
+        meta.set(v, t
+          ? { text: `${fmtNum(t.records)} • ${formatMetric(metricFromTotals(t, state.metric), state.metric)}`, empty: false }
+          : { text: "0", empty: true });
+      }
+      return meta;
+    };
+
+    const branchValues = orderedOptions(filterLists.override.branches, allBranches, state.branch);
+    const groupValues = orderedOptions(filterLists.override.groups, allGroups, state.group);
+
+    branchPicker?.setOptions(branchValues);
+    groupPicker?.setOptions(groupValues);
+    branchPicker?.setMeta(toMeta(facetTotals(features, "BranchName", "branch"), branchValues));
+    groupPicker?.setMeta(toMeta(facetTotals(features, "ProductGroupLevel1", "group"), groupValues));
+    syncGroupLevels(features, toMeta);
+  }
+
+  // Included value when a group picker has exactly one (the parent for the level below)
+  function singleGroup(picker) {
+    if (!picker || picker.wrap?.hidden || picker.isExclude()) return null;
+    const vals = picker.getValues();
+    return vals.size === 1 ? Array.from(vals)[0] : null;
+  }
+
+  // A new parent starts its children over; the same parent (e.g. a search-box change) keeps them
+  function onGroupLevelChange(index) {
+    const child = groupLevelPickers[index + 1];
+    if (child && child.parent !== singleGroup(groupLevelPickers[index])) {
+      groupLevelPickers.slice(index + 1).forEach((p) => p?.setSelection([], false));
+    }
+    syncGroupLevels();
+  }
+
+  // Shows each deeper picker under a single included parent, listing that parent's children
+  // from the data (with counts under the other filters); hidden levels hold no selection
+  function syncGroupLevels(features = collectSourceFeatures(), toMeta = null) {
+    const chain = []; // [{ field, value }] from Level 1 down
+    for (let i = 1; i < GROUP_LEVELS.length; i++) {
+      const picker = groupLevelPickers[i];
+      if (!picker) continue;
+      const parent = singleGroup(groupLevelPickers[i - 1]);
+      picker.parent = parent;
+      if (parent == null) {
+        picker.wrap.hidden = true;
+        picker.setSelection([], false);
+        continue;
+      }
+      chain.push({ field: GROUP_LEVELS[i - 1].field, value: parent });
+
+      const { field } = GROUP_LEVELS[i];
+      const under = (p) => chain.every((c) => String(p?.[c.field] ?? "") === c.value);
+      const children = new Set();
+      for (const f of features) {
+        const v = f.properties[field];
+        if (v != null && v !== "" && under(f.properties)) children.add(String(v));
+      }
+      const values = orderedOptions([], children, picker.getValues());
+      picker.setOptions(values);
+      if (toMeta) picker.setMeta(toMeta(facetTotals(features, field, "group", under), values));
+      picker.labelEl.textContent = `${GROUP_LEVELS[i].label} in ${parent}`;
+      picker.wrap.hidden = !values.length;
+    }
+  }
+
+  // "Lumber › Treated › 2x6"; drill-down levels only appear under their single parent
+  function describeGroups(allLabel, opts) {
+    const parts = [describeSelection(state.group, state.groupExclude, allLabel, opts)];
+    for (const lvl of GROUP_LEVELS.slice(1)) {
+      if (state[lvl.key].size) parts.push(describeSelection(state[lvl.key], state[`${lvl.key}Exclude`], "", opts));
+    }
+    return parts.join(" › ");
+  }
+
+  // Level for "by product group" splits: one below the deepest single selected group, so
+  // picking Lumber splits by Level 2. null past the last level or when the data lacks it.
+  function groupBreakdownLevel() {
+    let depth = 0;
+    while (depth < GROUP_LEVELS.length) {
+      const lvl = GROUP_LEVELS[depth];
+      if (state[lvl.key].size !== 1 || state[`${lvl.key}Exclude`]) break;
+      depth++;
+    }
+    const next = GROUP_LEVELS[depth];
+    if (!next) return null;
+    return (depth === 0 || schema.fields[next.key]) ? next : null;
+  }
+
+  // =========================
+  // Data source
+  // - "tileset": Mapbox-hosted vector tileset (mapbox://<data.tilesetId>)
+  // - "geojson": local GeoJSON file of sale points
+  // - "csv":     local CSV with lat/lon columns, or Zip5 + a ZIP-centroid lookup file
+  // - "vector":  self-hosted vector tiles (url is a {z}/{x}/{y} template)
+  // - "pmtiles": local .pmtiles archive (needs the mapbox-pmtiles script in index.html)
+  // All of them feed the same SOURCE_ID, so heat/points/hit layers and filters don't care.
+  // GeoJSON/CSV stay in memory (dataStore), which makes client-side totals exact.
+  // Tiled sources only expose the tiles in view, so anything that totals records reads the
+  // data.totals copy instead, and refuses to run without it rather than show numbers that
+  // change as the map moves.
+  // =========================
+  const DATA_SOURCE_TYPES = {
+    tileset: "Mapbox tileset",
+    geojson: "GeoJSON file",
+    csv: "CSV file",
+    vector: "Vector tiles",
+    pmtiles: "PMTiles archive",
+  };
+
+  const dataStore = {
+    type: null,
+    label: "",
+    features: null, // [{ properties, coordinates }]: the in-memory source, or a tiled source's data.totals copy
+    totalsError: "", // why data.totals didn't load
+    skipped: 0, // CSV rows with no coordinates or ZIP centroid (not on the map or in any total)
+    reported: false,
+  };
+
+  function isTiledSource() {
+    return dataStore.type !== "geojson" && dataStore.type !== "csv";
+  }
+
+  // Every record is in memory, so client-side totals don't depend on the camera
+  function hasCompleteData() {
+    return !!dataStore.features;
+  }
+
+  // Why `what` is unavailable without complete data (status line)
+  function incompleteDataNote(what) {
+    const fix = CONFIG.data.totals
+      ? `${CONFIG.data.totals.url} (data.totals) did not load${dataStore.totalsError ? `: ${dataStore.totalsError}` : ""}`
+      : "set data.totals in heatmap.config.json to a GeoJSON or CSV copy of the data";
+    return `${what} needs every record, but tiled data (${DATA_SOURCE_TYPES[dataStore.type] || dataStore.type}) only exposes the tiles in view; ${fix}.`;
+  }
+
+  // Layer/query options that only apply to tiled sources
+  function sourceLayerProp() {
+    return isTiledSource() ? { "source-layer": CONFIG.data.source.sourceLayer || CONFIG.data.sourceLayer } : {};
+  }
+
+  function sourceQueryOptions() {
+    return isTiledSource() ? { sourceLayer: CONFIG.data.source.sourceLayer || CONFIG.data.sourceLayer } : {};
+  }
+
+  // Minimal RFC 4180 CSV parser -> array of objects keyed by the header row
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    const src = String(text || "").replace(/^\ufeff/, "");
+
+    for (let i = 0; i < src.length; i++) {
+      const ch = src[i];
+      if (quoted) {
+        if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else field += ch;
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ",") {
+        row.push(field); field = "";
+      } else if (ch === "\n" || ch === "\r") {
+        if (ch === "\r" && src[i + 1] === "\n") i++;
+        row.push(field); field = "";
+        if (row.length > 1 || row[0] !== "") rows.push(row);
+        row = [];
+      } else {
+        field += ch;
+      }
+    }
+    if (field !== "" || row.length) { row.push(field); rows.push(row); }
+
+    const header = (rows.shift() || []).map((h) => h.trim());
+    return rows.map((r) => {
+      const o = {};
+      header.forEach((h, i) => { o[h] = r[i] ?? ""; });
+      return o;
+    });
+  }
+
+  // First header (case-insensitive) from candidates present in an object
+  function pickField(obj, candidates) {
+    const keys = Object.keys(obj || {});
+    for (const c of candidates) {
+      const hit = keys.find((k) => k.replace(/^\ufeff/, "").toLowerCase() === c.toLowerCase());
+      if (hit) return hit;
+    }
+    return null;
+  }
+
+  async function fetchText(url, what) {
+    const res = await fetch(url, { cache: "no-store" });
+    if (!res.ok) throw new Error(`${what} ${url} HTTP ${res.status}`);
+    return res.text();
+  }
+
+  async function loadZipCentroids(url) {
+    const rows = parseCsv(await fetchText(url, "ZIP centroid file"));
+    const out = new Map();
+    if (!rows.length) return out;
+    const zipF = pickField(rows[0], ["Zip5", "zip", "zipcode", "zcta", "ZCTA5CE20"]);
+    const latF = pickField(rows[0], ["lat", "latitude", "INTPTLAT", "INTPTLAT20"]);
+    const lonF = pickField(rows[0], ["lon", "lng", "long", "longitude", "INTPTLONG", "INTPTLONG20"]);
+    if (!zipF || !latF || !lonF) throw new Error(`ZIP centroid file ${url} needs zip, lat and lon columns`);
+    for (const r of rows) {
+      const lat = Number(r[latF]);
+      const lon = Number(r[lonF]);
+      if (isFinite(lat) && isFinite(lon)) out.set(normZip(r[zipF]), [lon, lat]);
+    }
+    return out;
+  }
+
+  async function loadGeoJsonRecords(url) {
+    const data = JSON.parse(await fetchText(url, "GeoJSON file"));
+    const feats = Array.isArray(data?.features) ? data.features : [];
+    return feats
+      .filter((f) => f?.geometry?.type === "Point")
+      .map((f) => ({ properties: { ...(f.properties || {}) }, coordinates: f.geometry.coordinates }));
+  }
+
+  async function loadCsvRecords(cfg) {
+    const rows = parseCsv(await fetchText(cfg.url, "CSV file"));
+    if (!rows.length) return [];
+
+    const latF = pickField(rows[0], [cfg.latField, "lat", "latitude"].filter(Boolean));
+    const lonF = pickField(rows[0], [cfg.lonField, "lon", "lng", "longitude"].filter(Boolean));
+    const zipF = pickField(rows[0], [cfg.zipField, CONFIG.fields.zip, "Zip5", "zip"].filter(Boolean));
+    const centroids = (!latF || !lonF) && cfg.zipCentroidsUrl ? await loadZipCentroids(cfg.zipCentroidsUrl) : null;
+    if ((!latF || !lonF) && !centroids) throw new Error(`CSV ${cfg.url} has no lat/lon columns and no zipCentroidsUrl is set`);
+
+    const out = [];
+    let unplaced = 0;
+    for (const r of rows) {
+      let coords = null;
+      if (latF && lonF) {
+        const lat = Number(r[latF]);
+        const lon = Number(r[lonF]);
+        if (isFinite(lat) && isFinite(lon) && (lat || lon)) coords = [lon, lat];
+      }
+      if (!coords && centroids && zipF) coords = centroids.get(normZip(r[zipF])) || null;
+      if (!coords) { unplaced++; continue; }
+      if (zipF && zipF !== "Zip5") r.Zip5 = r[zipF];
+      out.push({ properties: r, coordinates: coords });
+    }
+    if (unplaced) console.warn(LOG_PREFIX, `${unplaced} CSV rows had no coordinates or ZIP centroid and were skipped.`);
+    dataStore.skipped += unplaced;
+    return out;
+  }
+
+  // ", N rows skipped" for the source label when CSV rows couldn't be placed
+  function skippedNote() {
+    return dataStore.skipped ? `, ${dataStore.skipped.toLocaleString()} rows skipped: no location` : "";
+  }
+
+  // Views that total ZIPs client-side (compare, choropleth, branch share, leaderboard) still run
+  // on loaded tiles, but say so where their numbers are shown; "" with complete data
+  function partialTotalsWarning() {
+    return hasCompleteData() ? "" : "Loaded map tiles only: ZIP totals change as you pan or zoom (set data.totals for exact totals)";
+  }
+
+  // data.totals for a tiled source: loaded into dataStore.features like a GeoJSON/CSV source.
+  // Its schema is the one detected, so it must use the tiles' field names.
+  async function loadTotalsCopy() {
+    const cfg = CONFIG.data.totals;
+    if (!cfg) return "";
+    try {
+      const records = normalizeRecords(cfg.type === "geojson" ? await loadGeoJsonRecords(cfg.url) : await loadCsvRecords(cfg));
+      dataStore.features = records;
+      return ` • totals from ${cfg.url} (${records.length.toLocaleString()} records${skippedNote()})`;
+    } catch (err) {
+      dataStore.totalsError = String(err.message || err);
+      console.warn(LOG_PREFIX, "data.totals not loaded:", dataStore.totalsError);
+      return ` • totals unavailable (${cfg.url} did not load)`;
+    }
+  }
+
+  // Adds SOURCE_ID to the map according to CONFIG.data.source. Resolves to a human label for the status line.
+  async function addDataSource() {
+    const cfg = CONFIG.data.source;
+    const type = DATA_SOURCE_TYPES[cfg.type] ? cfg.type : "tileset";
+    dataStore.type = type;
+
+    if (map.getSource(SOURCE_ID)) return dataStore.label;
+
+    if (type === "geojson" || type === "csv") {
+      const records = normalizeRecords(type === "geojson" ? await loadGeoJsonRecords(cfg.url) : await loadCsvRecords(cfg));
+      dataStore.features = records;
+      map.addSource(SOURCE_ID, {
+        type: "geojson",
+        data: {
+          type: "FeatureCollection",
+          features: records.map((r) => ({ type: "Feature", geometry: { type: "Point", coordinates: r.coordinates }, properties: r.properties })),
+        },
+      });
+      dataStore.label = `${DATA_SOURCE_TYPES[type]} ${cfg.url} (${records.length.toLocaleString()} records${skippedNote()})`;
+    } else if (type === "vector") {
+      if (!cfg.url) throw new Error("data.source.url (tile template) is required for vector tiles");
+      map.addSource(SOURCE_ID, { type: "vector", tiles: [new URL(cfg.url, window.location.href).href], maxzoom: cfg.maxzoom ?? 14 });
+      dataStore.label = `${DATA_SOURCE_TYPES[type]} ${cfg.url}`;
+    } else if (type === "pmtiles") {
+      const PmTilesSource = window.mapboxPmTiles?.PmTilesSource || window.PmTilesSource;
+      if (!PmTilesSource) throw new Error("PMTiles source needs the mapbox-pmtiles script loaded before app.js");
+      mapboxgl.Style.setSourceType(PmTilesSource.SOURCE_TYPE, PmTilesSource);
+      map.addSource(SOURCE_ID, { type: PmTilesSource.SOURCE_TYPE, url: new URL(cfg.url, window.location.href).href });
+      dataStore.label = `${DATA_SOURCE_TYPES[type]} ${cfg.url}`;
+    } else {
+      map.addSource(SOURCE_ID, { type: "vector", url: `mapbox://${CONFIG.data.tilesetId}` });
+      dataStore.label = `${DATA_SOURCE_TYPES.tileset} ${CONFIG.data.tilesetId}`;
+    }
+    if (isTiledSource()) dataStore.label += await loadTotalsCopy();
+
+    log(`Data source: ${dataStore.label}`);
+    return dataStore.label;
+  }
+
+  // =========================
+  // Schema normalization
+  // - Works out once which property holds each canonical field: CONFIG.fields first, then
+  //   FIELD_ALIASES, ignoring case and a leading BOM ("\ufeffSaleDate" → SaleDate)
+  // - Notes which date formats appear (YYYYMMDD key, M/D/YYYY, ISO)
+  // - In-memory sources are rewritten to canonical fields at load; tiled sources are checked
+  //   against the first loaded tiles, then read through sourceField() / canonicalProps()
+  // - Everything downstream uses Zip5, BranchName, ProductGroupLevel1-3, the metric fields and
+  //   a numeric SaleDateKey
+  // =========================
+  const FIELD_ALIASES = {
+    zip: ["Zip5", "Zip", "ZipCode", "Zip_Code", "PostalCode"],
+    branch: ["BranchName", "Branch", "Store"],
+    group: ["ProductGroupLevel1", "ProductGroup", "Group"],
+    group2: ["ProductGroupLevel2", "ProductGroup2", "SubGroup"],
+    group3: ["ProductGroupLevel3", "ProductGroup3"],
+    sales: ["TotalSales", "Sales"],
+    tickets: ["TicketCount", "Tickets"],
+    profit: ["TotalProfit", "Profit"],
+    saleDate: ["SaleDate", "SaleDateISO", "Date"],
+    saleDateKey: ["SaleDateKey", "DateKey"],
+  };
+  const OPTIONAL_FIELDS = new Set(["group2", "group3"]); // not worth a warning when absent
+  const DATE_FORMATS = { key: "YYYYMMDD", mdy: "M/D/YYYY", iso: "ISO (YYYY-MM-DD)" };
+  const SCHEMA_SAMPLE_SIZE = 500;
+
+  const schema = {
+    detected: false,
+    fields: {},        // CANONICAL_FIELDS key -> property name in the data (absent = not found)
+    dateFormats: [],   // keys of DATE_FORMATS seen in the sample
+    undated: 0,        // in-memory records without a readable sale date
+  };
+
+  const stripBom = (k) => String(k).replace(/^\ufeff/, "");
+
+  function dateFormatOf(raw) {
+    if (raw == null || raw === "") return null;
+    const str = String(raw).trim();
+    if (/^\d{8}$/.test(str)) return "key";
+    if (/^\d{1,2}\/\d{1,2}\/\d{4}/.test(str)) return "mdy";
+    if (/^\d{4}-\d{1,2}-\d{1,2}/.test(str)) return "iso";
+    return null;
+  }
+
+  // Numeric YYYYMMDD from a key, M/D/YYYY or ISO value; null when unreadable
+  function parseDateKey(raw) {
+    const str = raw == null ? "" : String(raw).trim();
+    let m;
+    switch (dateFormatOf(str)) {
+      case "key": return Number(str);
+      case "mdy":
+        m = /^(\d{1,2})\/(\d{1,2})\/(\d{4})/.exec(str);
+        return (Number(m[3]) * 10000) + (Number(m[1]) * 100) + Number(m[2]);
+      case "iso":
+        m = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(str);
+        return (Number(m[1]) * 10000) + (Number(m[2]) * 100) + Number(m[3]);
+      default: return null;
+    }
+  }
+
+  function detectSchema(samples) {
+    const keys = new Set();
+    for (const p of samples.slice(0, SCHEMA_SAMPLE_SIZE)) Object.keys(p || {}).forEach((k) => keys.add(k));
+    const byName = new Map(Array.from(keys).map((k) => [stripBom(k).toLowerCase(), k]));
+
+    schema.fields = {};
+    for (const k of Object.keys(CANONICAL_FIELDS)) {
+      const hit = [CONFIG.fields[k], ...FIELD_ALIASES[k]].find((c) => byName.has(stripBom(c).toLowerCase()));
+      if (hit) schema.fields[k] = byName.get(stripBom(hit).toLowerCase());
+    }
+
+    const formats = new Set();
+    for (const p of samples.slice(0, SCHEMA_SAMPLE_SIZE)) {
+      const f = dateFormatOf(p?.[schema.fields.saleDateKey]) || dateFormatOf(p?.[schema.fields.saleDate]);
+      if (f) formats.add(f);
+    }
+    schema.dateFormats = Array.from(formats);
+    schema.detected = true;
+
+    const mapped = Object.entries(schema.fields)
+      .filter(([k, v]) => v !== CANONICAL_FIELDS[k])
+      .map(([k, v]) => `${CANONICAL_FIELDS[k]} ← ${JSON.stringify(v)}`);
+    log(`Schema: ${mapped.length ? mapped.join(", ") : "canonical field names"} • dates: ${
+      schema.dateFormats.map((f) => DATE_FORMATS[f]).join(", ") || "none found"}`);
+    // Either date field is enough
+    const dateless = !schema.fields.saleDate && !schema.fields.saleDateKey;
+    const missing = Object.keys(CANONICAL_FIELDS)
+      .filter((k) => !schema.fields[k] && !OPTIONAL_FIELDS.has(k) && (dateless || (k !== "saleDate" && k !== "saleDateKey")))
+      .map((k) => CANONICAL_FIELDS[k]);
+    if (missing.length) console.warn(LOG_PREFIX, "Fields not found in the data:", missing.join(", "));
+  }
+
+  // Tiled sources: detect from whatever tiles are loaded. False until some features exist.
+  function detectTiledSchema() {
+    if (schema.detected) return true;
+    let feats = [];
+    try {
+      feats = map.querySourceFeatures(SOURCE_ID, sourceQueryOptions()) || [];
+    } catch {
+      return false;
+    }
+    if (!feats.length) return false;
+    detectSchema(feats.map((f) => f.properties));
+    return true;
+  }
+
+  // Canonical copy of a feature's properties (in-memory records are already canonical)
+  function canonicalProps(p) {
+    if (!p) return p;
+    const out = { ...p };
+    for (const [k, canon] of Object.entries(CANONICAL_FIELDS)) {
+      const src = schema.fields[k] ?? CONFIG.fields[k];
+      if (src !== canon && out[canon] == null && p[src] != null) out[canon] = p[src];
+    }
+    if (typeof out.SaleDateKey !== "number") {
+      out.SaleDateKey = parseDateKey(out.SaleDateKey) ?? parseDateKey(out.SaleDate);
+    }
+    return out;
+  }
+
+  // In-memory records: canonical fields, numeric metric fields and SaleDateKey
+  function normalizeRecord(p) {
+    const out = canonicalProps(p);
+    for (const prop of SUM_PROPS) if (out[prop] != null && out[prop] !== "") out[prop] = Number(out[prop]) || 0;
+    return out;
+  }
+
+  function normalizeRecords(records) {
+    detectSchema(records.map((r) => r.properties));
+    schema.undated = 0;
+    for (const r of records) {
+      r.properties = normalizeRecord(r.properties);
+      if (r.properties.SaleDateKey == null) schema.undated++;
+    }
+    if (schema.undated) console.warn(LOG_PREFIX, `${schema.undated} of ${records.length} records have no readable sale date.`);
+    return records;
+  }
+
+  // Filters that can't be applied exactly, for the warning box above the status line
+  function filterWarnings() {
+    const out = [];
+    const listed = filterLists.override.branches.length + filterLists.override.groups.length;
+    if (listed && !hasCompleteData()) {
+      out.push(`${CONFIG.urls.filters} not checked for values missing from the data: ${incompleteDataNote("The check")}`);
+    } else if (filterLists.missing.length) {
+      const n = filterLists.missing.length;
+      out.push(`${CONFIG.urls.filters} lists ${n} value${n === 1 ? "" : "s"} with no records: ${filterLists.missing.slice(0, 8).join(", ")}${n > 8 ? ", …" : ""}.`);
+    }
+    if (dataStore.skipped) {
+      const n = dataStore.skipped;
+      out.push(`${fmtNum(n)} CSV row${n === 1 ? "" : "s"} had no coordinates or ZIP centroid and ${n === 1 ? "is" : "are"} left out of the map and every total.`);
+    }
+    if (!schema.detected) return out;
+    const dated = state.startKey != null || state.endKey != null;
+    const fieldNames = (k) => [CONFIG.fields[k], ...FIELD_ALIASES[k]].filter((v, i, a) => a.indexOf(v) === i).join(", ");
+
+    if (dated && !schema.fields.saleDate && !schema.fields.saleDateKey) {
+      out.push(`Date range not applied: no sale date field in the data (looked for ${fieldNames("saleDate")}, ${fieldNames("saleDateKey")}).`);
+    } else if (dated && schema.undated) {
+      out.push(`${fmtNum(schema.undated)} of ${fmtNum(dataStore.features?.length ?? 0)} records have no readable sale date and are left out while a date range is set.`);
+    } else if (dated && isTiledSource() && schema.fields.saleDate && !schema.dateFormats.length) {
+      out.push(`Sale dates in "${stripBom(schema.fields.saleDate)}" aren't M/D/YYYY, ISO or YYYYMMDD, so the date range may hide every point.`);
+    }
+    if (state.branch.size && !schema.fields.branch) out.push(`Branch filter not applied: no branch field in the data (looked for ${fieldNames("branch")}).`);
+    for (const lvl of GROUP_LEVELS) {
+      if (state[lvl.key].size && !schema.fields[lvl.key]) {
+        out.push(`${lvl.label} filter not applied: no such field in the data (looked for ${fieldNames(lvl.key)}).`);
+      }
+    }
+    if (state.normalize !== "none") {
+      const norm = NORMALIZERS[state.normalize];
+      const m = METRICS[state.metric];
+      const gaps = demographics.gaps;
+      if (demographics.failed) {
+        out.push(`${norm.label} not applied: could not load ${CONFIG.urls.demographics}.`);
+      } else if (demographics.loaded && m.ratio) {
+        out.push(`${norm.label} doesn't apply to ${m.label} (already a ratio); showing raw values.`);
+      } else if (demographics.loaded && !demographics.columns[state.normalize]) {
+        out.push(`${norm.label} not available: ${CONFIG.urls.demographics} has no ${norm.column.toLowerCase()} column (looked for ${DEMOGRAPHIC_COLUMNS[state.normalize].join(", ")}).`);
+      } else if (gaps.length) {
+        out.push(`${fmtNum(gaps.length)} ZIP${gaps.length === 1 ? "" : "s"} with sales ${gaps.length === 1 ? "has" : "have"} no ${norm.column.toLowerCase()} figure in ${CONFIG.urls.demographics} and ${gaps.length === 1 ? "is" : "are"} left unshaded: ${gaps.slice(0, 8).join(", ")}${gaps.length > 8 ? ", …" : ""}.`);
+      }
+    }
+    return out;
+  }
+
+  function renderFilterWarnings() {
+    if (!els.status) return;
+    const list = filterWarnings();
+    let box = document.getElementById("wlFilterWarnings");
+    if (!list.length) {
+      box?.remove();
+      return;
+    }
+    if (!box) {
+      box = document.createElement("div");
+      box.id = "wlFilterWarnings";
+      box.className = "small";
+      box.setAttribute("role", "alert");
+      box.style.cssText = "margin-top:10px; padding:6px 8px; border-radius:8px; background:#fffbeb; color:#92400e;";
+      els.status.insertAdjacentElement("beforebegin", injected(box));
+    }
+    box.innerHTML = list.map((w) => `<div>⚠ ${escapeHtml(w)}</div>`).join("");
+  }
+
+  // =========================
+  // Layers (appearance unchanged)
+  // =========================
+  const SOURCE_ID = "wl-zip-sales";
+  const HEAT_LAYER_ID = "wl-heat";
+  const POINT_LAYER_ID = "wl-points";
+
+  const HIT_LAYER_ID = "wl-points-hit";
+  // Expects SOURCE_ID to exist already (addDataSource)
+  function ensureLayers() {
+    if (!map.getSource(SOURCE_ID)) return;
+
+    if (!map.getLayer(HEAT_LAYER_ID)) {
+      map.addLayer({
+        id: HEAT_LAYER_ID,
+        type: "heatmap",
+        source: SOURCE_ID,
+        ...sourceLayerProp(),
+        paint: {
+          "heatmap-weight": heatWeightExpr(state.metric),
+          "heatmap-intensity": [
             "interpolate", ["linear"], ["zoom"],
             0, 0.7,
             7, 1.0,
@@ -658,7 +2426,7 @@ if (canDateFilter) {
         id: POINT_LAYER_ID,
         type: "circle",
         source: SOURCE_ID,
-        "source-layer": SOURCE_LAYER,
+        ...sourceLayerProp(),
         paint: {
           "circle-opacity": [
             "interpolate", ["linear"], ["zoom"],
@@ -677,50 +2445,3624 @@ if (canDateFilter) {
       });
     }
 
-    // Invisible-but-clickable "hit" layer to make points easier to tap/click (keeps visual styling unchanged)
-    // - Uses a much larger radius
-    // - Nearly transparent but still interactive
-    if (!map.getLayer(HIT_LAYER_ID)) {
-      map.addLayer({
-        id: HIT_LAYER_ID,
-        type: "circle",
-        source: SOURCE_ID,
-        "source-layer": SOURCE_LAYER,
-        paint: {
-          "circle-radius": [
-            "interpolate", ["linear"], ["zoom"],
-            6, 12,
-            9, 18,
-            12, 26
-          ],
-          "circle-color": "#000000",
-          "circle-opacity": 0.001,
-        },
-      });
+    // Invisible-but-clickable "hit" layer to make points easier to tap/click (keeps visual styling unchanged)
+    // - Uses a much larger radius
+    // - Nearly transparent but still interactive
+    if (!map.getLayer(HIT_LAYER_ID)) {
+      map.addLayer({
+        id: HIT_LAYER_ID,
+        type: "circle",
+        source: SOURCE_ID,
+        ...sourceLayerProp(),
+        paint: {
+          "circle-radius": [
+            "interpolate", ["linear"], ["zoom"],
+            6, 12,
+            9, 18,
+            12, 26
+          ],
+          "circle-color": "#000000",
+          "circle-opacity": 0.001,
+        },
+      });
+    }
+  }
+
+  // =========================
+  // Heatmap weight scaling
+  // - Breakpoints come from the per-point distribution of the active metric under the
+  //   current filters: quantile (p50/p85/p98), log (decade-style steps) or linear (0 → p98)
+  // - "fixed" keeps the metric's hand-set METRICS stops (raw units, so a normalized map uses quantile)
+  // - Lock keeps the last stops per metric (and "Per" option) so different filters are compared on one scale
+  // - Recomputed on filter, metric or scale changes only, never on pan/zoom, so the ramp holds
+  //   still while exploring (tiled sources without data.totals sample the tiles loaded at apply time)
+  // =========================
+  const heatScale = {
+    locked: new Map(), // scaleKey() -> stops captured when the lock was set
+    current: null,     // { metric, key, mode, locked, stops } last applied to wl-heat
+  };
+
+  const scaleKey = (metricKey) => (isNormalized(metricKey) ? `${metricKey}/${state.normalize}` : metricKey);
+
+  // Drop pairs that don't strictly increase (interpolate requires ascending inputs)
+  function ascendingStops(pairs) {
+    const out = [];
+    let last = -Infinity;
+    for (let i = 0; i < pairs.length; i += 2) {
+      if (!(pairs[i] > last)) continue;
+      out.push(pairs[i], pairs[i + 1]);
+      last = pairs[i];
+    }
+    return out;
+  }
+
+  function computeWeightStops(metricKey, mode) {
+    const fallback = (METRICS[metricKey] || METRICS[DEFAULT_METRIC]).stops;
+    if (mode === "fixed") return fallback;
+
+    const normalized = isNormalized(metricKey);
+    const vals = filteredSourceFeatures()
+      .map((f) => (normalized ? normalizeValue(metricFromTotals(f.properties, metricKey), f.properties.Zip5) : metricFromTotals(f.properties, metricKey)))
+      .filter((v) => v != null && isFinite(v) && v > 0)
+      .sort((a, b) => a - b);
+    if (vals.length < 2) return fallback;
+
+    const top = quantileSorted(vals, 0.98);
+    let stops;
+    if (mode === "linear" || (mode === "log" && top <= 1)) {
+      stops = [0, 0, top, 1];
+    } else if (mode === "log") {
+      stops = [0, 0, top ** 0.25, 0.25, top ** 0.5, 0.5, top ** 0.75, 0.75, top, 1];
+    } else {
+      stops = [0, 0, quantileSorted(vals, 0.5), 0.25, quantileSorted(vals, 0.85), 0.6, top, 1];
+    }
+
+    const clean = ascendingStops(stops);
+    return clean.length >= 4 ? clean : fallback;
+  }
+
+  function updateMetricPaint() {
+    const metric = state.metric;
+    const key = scaleKey(metric);
+    const mode = state.scaleMode === "fixed" && isNormalized(metric) ? "quantile" : state.scaleMode;
+    let stops = state.scaleLocked ? heatScale.locked.get(key) : null;
+    if (!stops) {
+      stops = computeWeightStops(metric, mode);
+      if (state.scaleLocked) heatScale.locked.set(key, stops);
+    }
+    heatScale.current = { metric, key, mode, locked: state.scaleLocked, stops };
+
+    if (map.getLayer(HEAT_LAYER_ID)) {
+      map.setPaintProperty(HEAT_LAYER_ID, "heatmap-weight", heatWeightExpr(metric, stops));
+    }
+    updateLegend();
+  }
+
+  function setScaleUI(mode, locked) {
+    state.scaleMode = SCALE_MODES[mode] ? mode : "quantile";
+    state.scaleLocked = !!locked;
+    if (!state.scaleLocked) heatScale.locked.clear();
+    if (els.scaleMode) els.scaleMode.value = state.scaleMode;
+    if (els.scaleLock) els.scaleLock.checked = state.scaleLocked;
+  }
+
+  // =========================
+  // Client-side aggregation
+  // - Mirrors buildFilterExpr() in JS so we can total features ourselves (compare mode, etc.)
+  // - Reads from the source tiles Mapbox has loaded (querySourceFeatures), not just rendered points
+  // =========================
+
+  // Sales, tickets and profit are always summed (exports, leaderboard, margin), plus every
+  // numeric property a configured metric needs
+  const SUM_PROPS = Array.from(new Set([
+    "TotalSales", "TicketCount", "TotalProfit",
+    ...Object.values(METRICS).flatMap((m) => m.ratio || [m.prop]),
+  ]));
+
+  // Numeric YYYYMMDD for a canonical feature (see canonicalProps)
+  function featureDateKey(p) {
+    const k = p?.SaleDateKey;
+    return typeof k === "number" ? k : parseDateKey(k);
+  }
+
+  // `ignore: "branch" | "group"` skips that filter (used for the picker counts; "group" = every level)
+  function featureMatchesFilters(p, { startKey = state.startKey, endKey = state.endKey, ignore = null } = {}) {
+    const inSet = (prop, values, exclude) => {
+      if (!values || !values.size) return true;
+      if (!sourceField(prop)) return true; // field missing from the data (see filterWarnings)
+      const hit = values.has(String(p?.[prop] ?? ""));
+      return exclude ? !hit : hit;
+    };
+    if (ignore !== "branch" && !inSet("BranchName", state.branch, state.branchExclude)) return false;
+    if (ignore !== "group" && !GROUP_LEVELS.every((lvl) => inSet(lvl.field, state[lvl.key], state[`${lvl.key}Exclude`]))) return false;
+
+    if ((startKey != null || endKey != null) && (!schema.detected || schema.fields.saleDate || schema.fields.saleDateKey)) {
+      const dk = featureDateKey(p);
+      if (dk == null) return false;
+      if (startKey != null && dk < startKey) return false;
+      if (endKey != null && dk > endKey) return false;
+    }
+    return true;
+  }
+
+  // One pass over the loaded tiles shared by every panel refreshed together (see
+  // withFeatureSnapshot); `filtered` is filled on first use
+  let featureSnapshot = null; // { all, filtered } while a snapshot is active
+
+  function withFeatureSnapshot(fn) {
+    if (featureSnapshot) return fn();
+    featureSnapshot = { all: collectSourceFeatures(), filtered: null };
+    try {
+      return fn();
+    } finally {
+      featureSnapshot = null;
+    }
+  }
+
+  // All features: the full in-memory set for GeoJSON/CSV sources, otherwise whatever
+  // source tiles are loaded, de-duplicated (points near tile edges are repeated)
+  function collectSourceFeatures() {
+    if (dataStore.features) return dataStore.features;
+    if (featureSnapshot) return featureSnapshot.all;
+
+    let feats = [];
+    try {
+      feats = map.querySourceFeatures(SOURCE_ID, sourceQueryOptions()) || [];
+    } catch (e) {
+      console.warn(LOG_PREFIX, "querySourceFeatures failed:", e);
+      return [];
+    }
+
+    const seen = new Set();
+    const out = [];
+    for (const f of feats) {
+      const props = canonicalProps(f.properties || {});
+      const key = (f.id != null) ? `id:${f.id}` : JSON.stringify(props);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      const coords = (f.geometry && f.geometry.type === "Point") ? f.geometry.coordinates : null;
+      out.push({ properties: props, coordinates: coords });
+    }
+    return out;
+  }
+
+  // collectSourceFeatures() narrowed to the current filters
+  function filteredSourceFeatures() {
+    if (featureSnapshot) {
+      return featureSnapshot.filtered || (featureSnapshot.filtered = featureSnapshot.all.filter((f) => featureMatchesFilters(f.properties)));
+    }
+    return collectSourceFeatures().filter((f) => featureMatchesFilters(f.properties));
+  }
+
+  // Sum SUM_PROPS per unique combination of keyProps. Each row keeps the key values,
+  // a record count and the first point seen as its location.
+  function aggregateBy(features, keyProps) {
+    const groups = new Map();
+    for (const f of features) {
+      const p = f.properties;
+      const keyVals = keyProps.map((k) => String(p[k] ?? "—"));
+      const key = keyVals.join("\u0001");
+      let row = groups.get(key);
+      if (!row) {
+        row = { key, coordinates: f.coordinates, records: 0 };
+        keyProps.forEach((k, i) => { row[k] = keyVals[i]; });
+        for (const prop of SUM_PROPS) row[prop] = 0;
+        groups.set(key, row);
+      }
+      if (!row.coordinates && f.coordinates) row.coordinates = f.coordinates;
+      row.records += 1;
+      for (const prop of SUM_PROPS) row[prop] += Number(p[prop]) || 0;
+    }
+    return groups;
+  }
+
+  // Zip5 -> totals row (with `zip`)
+  function aggregateByZip(features) {
+    const byZip = new Map();
+    for (const row of aggregateBy(features, ["Zip5"]).values()) {
+      row.zip = row.Zip5;
+      byZip.set(row.zip, row);
+    }
+    return byZip;
+  }
+
+  // Metric value for summed totals (ratios are computed from the sums, not averaged)
+  function metricFromTotals(totals, metricKey) {
+    const m = METRICS[metricKey] || METRICS[DEFAULT_METRIC];
+    if (m.ratio) {
+      const [num, den] = m.ratio;
+      const d = Number(totals[den]) || 0;
+      return d > 0 ? (Number(totals[num]) || 0) / d : 0;
+    }
+    return Number(totals[m.prop]) || 0;
+  }
+
+  // =========================
+  // Demographic normalization ("Per" select)
+  // - Divides the active metric by the ZIP's population, households or housing units from the
+  //   local CSV at CONFIG.urls.demographics: a Zip5 column plus any of Population / Households /
+  //   HousingUnits (Census codes such as B01003_001E, B11001_001E, B25001_001E work too)
+  // - Loaded on first use; applyFilters() runs again once it's in
+  // - The CSV isn't shipped (see README): when CONFIG.urls.demographics is missing the "Per" row
+  //   is hidden and the option stays "none"
+  // - Ratio metrics (Margin %, Avg Ticket) are already "per" something and stay raw
+  // - ZIPs with sales but no usable figure aren't shaded: filterWarnings() lists them and the
+  //   per-ZIP readouts (popup, detail, leaderboard, export) say so instead of showing a value
+  // - Compare mode keeps raw totals (the % change is the same either way)
+  // =========================
+  const DEMOGRAPHIC_COLUMNS = {
+    zip: ["Zip5", "zip", "zipcode", "zcta", "ZCTA5CE20", "ZCTA5CE10", "GEOID20", "GEOID"],
+    population: ["Population", "pop", "TotalPopulation", "B01003_001E", "P1_001N"],
+    households: ["Households", "hh", "B11001_001E"],
+    housingUnits: ["HousingUnits", "Housing Units", "housing_units", "B25001_001E", "H1_001N"],
+  };
+
+  const demographics = {
+    loading: null,     // Promise while the CSV loads
+    loaded: false,
+    failed: false,
+    missing: false,    // the file isn't there at all (probeDemographics)
+    columns: {},       // NORMALIZERS key -> CSV header (absent = not in the file)
+    byZip: new Map(),  // Zip5 -> { population, households, housingUnits } (null = blank)
+    gaps: [],          // Zip5s with filtered sales but no usable figure (set by applyFilters)
+  };
+
+  // HEAD request at startup so a missing file hides the "Per" row instead of failing on first use
+  async function probeDemographics() {
+    try {
+      const res = await fetch(CONFIG.urls.demographics, { method: "HEAD", cache: "no-store" });
+      if (res.status !== 404) return;
+    } catch (err) {
+      console.warn(LOG_PREFIX, "Demographics check failed:", err.message || err);
+      return;
+    }
+    demographics.missing = true;
+    demographics.failed = true;
+    const row = els.normalizeMode?.closest(".row");
+    if (row) row.hidden = true;
+    setNormalizeUI("none");
+    log(`No demographics (${CONFIG.urls.demographics} not found); the "Per" option is off`);
+  }
+
+  function ensureDemographics() {
+    if (demographics.loaded) return Promise.resolve(true);
+    if (demographics.loading) return demographics.loading;
+
+    const url = CONFIG.urls.demographics;
+    demographics.loading = (async () => {
+      try {
+        const rows = parseCsv(await fetchText(url, "Demographics file"));
+        const zipF = rows.length ? pickField(rows[0], DEMOGRAPHIC_COLUMNS.zip) : null;
+        if (!zipF) throw new Error(`${url} has no ZIP column (looked for ${DEMOGRAPHIC_COLUMNS.zip.join(", ")})`);
+
+        demographics.columns = {};
+        for (const k of Object.keys(NORMALIZERS)) {
+          const f = k === "none" ? null : pickField(rows[0], DEMOGRAPHIC_COLUMNS[k]);
+          if (f) demographics.columns[k] = f;
+        }
+        const count = (v) => {
+          const s = String(v ?? "").replace(/,/g, "").trim();
+          return s && isFinite(Number(s)) ? Number(s) : null;
+        };
+        demographics.byZip = new Map();
+        for (const r of rows) {
+          const zip = normZip(r[zipF]);
+          if (!zip) continue;
+          demographics.byZip.set(zip, Object.fromEntries(
+            Object.entries(demographics.columns).map(([k, f]) => [k, count(r[f])])));
+        }
+
+        demographics.loaded = true;
+        const found = Object.entries(demographics.columns).map(([k, f]) => `${NORMALIZERS[k].column} ← "${f}"`);
+        log(`Loaded demographics • ${demographics.byZip.size} ZIPs • ${found.join(", ") || "no count columns"}`);
+        return true;
+      } catch (err) {
+        demographics.failed = true;
+        console.warn(LOG_PREFIX, "Demographics load failed:", err);
+        return false;
+      } finally {
+        demographics.loading = null;
+      }
+    })();
+
+    return demographics.loading;
+  }
+
+  // True when `metricKey` is shown per resident / household / housing unit
+  function isNormalized(metricKey = state.metric) {
+    return state.normalize !== "none" && demographics.loaded && !(METRICS[metricKey] || METRICS[DEFAULT_METRIC]).ratio;
+  }
+
+  // The ZIP's count for the active "Per" option; null when it has no usable figure
+  function demographicCount(zip) {
+    const n = demographics.byZip.get(normZip(zip))?.[state.normalize];
+    return n != null && n > 0 ? n : null;
+  }
+
+  // Raw ZIP value -> per-unit value (null = no demographic figure for the ZIP)
+  function normalizeValue(value, zip) {
+    const n = demographicCount(zip);
+    return n == null ? null : (value * NORMALIZERS[state.normalize].per) / n;
+  }
+
+  // Per-point multiplier for the heat layer, by Zip5 (0 for ZIPs without a figure)
+  function normalizeFactorExpr() {
+    const field = sourceField("Zip5");
+    const pairs = [];
+    for (const zip of demographics.byZip.keys()) {
+      const n = demographicCount(zip);
+      if (n != null) pairs.push(zip, NORMALIZERS[state.normalize].per / n);
+    }
+    if (!field || !pairs.length) return 0;
+    return ["match", ["to-string", ["get", field]], ...pairs, 0];
+  }
+
+  // "Sales per household" while normalized, else the metric's own label
+  function metricDisplayLabel(metricKey = state.metric, { status = false } = {}) {
+    const m = METRICS[metricKey] || METRICS[DEFAULT_METRIC];
+    const label = status ? m.statusLabel : m.label;
+    return isNormalized(metricKey) ? `${label} ${NORMALIZERS[state.normalize].unit}` : label;
+  }
+
+  function demographicGaps() {
+    if (!isNormalized()) return [];
+    const zips = new Set();
+    for (const f of collectSourceFeatures()) {
+      const zip = normZip(f.properties.Zip5);
+      if (zip && !zips.has(zip) && demographicCount(zip) == null && featureMatchesFilters(f.properties)) zips.add(zip);
+    }
+    return Array.from(zips).sort();
+  }
+
+  function setNormalizeUI(key) {
+    state.normalize = NORMALIZERS[key] && !demographics.missing ? key : "none";
+    if (els.normalizeMode) els.normalizeMode.value = state.normalize;
+  }
+
+  // =========================
+  // Compare mode (period over period)
+  // - Totals the selected metric per Zip5 for the current and the compare date range
+  // - Draws one circle per ZIP on a diverging scale (blue = growth, red = decline)
+  // - Heat/points layers are hidden while comparing (see renderViewLayers); tiled data without
+  //   data.totals only covers loaded tiles, which the legend flags (partialTotalsWarning)
+  // =========================
+  const COMPARE_SOURCE_ID = "wl-compare";
+  const COMPARE_LAYER_ID = "wl-compare-circles";
+  const COMPARE_COLORS = ["#b2182b", "#ef8a62", "#f7f7f7", "#67a9cf", "#2166ac"];
+  const compareStats = { maxAbs: 0 }; // last render, for the legend
+
+  function setLayerVisible(layerId, on) {
+    if (map.getLayer(layerId)) map.setLayoutProperty(layerId, "visibility", on ? "visible" : "none");
+  }
+
+  function ensureCompareLayer() {
+    if (!map.getSource(COMPARE_SOURCE_ID)) {
+      map.addSource(COMPARE_SOURCE_ID, { type: "geojson", data: { type: "FeatureCollection", features: [] } });
+    }
+    if (!map.getLayer(COMPARE_LAYER_ID)) {
+      map.addLayer({
+        id: COMPARE_LAYER_ID,
+        type: "circle",
+        source: COMPARE_SOURCE_ID,
+        layout: { visibility: "none" },
+        paint: {
+          "circle-color": COMPARE_COLORS[2],
+          "circle-radius": 6,
+          "circle-opacity": 0.85,
+          "circle-stroke-color": "#374151",
+          "circle-stroke-width": 0.5,
+        },
+      });
+    }
+  }
+
+  // Returns { ready, note } so applyFilters() can explain why compare isn't showing
+  function compareReadiness() {
+    if (!state.compare.enabled) return { ready: false, note: "" };
+    if (state.startKey == null || state.endKey == null) return { ready: false, note: "Compare needs a start and end date" };
+    if (state.compare.startKey == null || state.compare.endKey == null) return { ready: false, note: "Pick a compare range" };
+    return { ready: true, note: "" };
+  }
+
+  function renderCompare() {
+    if (!compareReadiness().ready || !map.getSource(COMPARE_SOURCE_ID)) return null;
+
+    const all = collectSourceFeatures();
+    const cur = aggregateByZip(all.filter((f) => featureMatchesFilters(f.properties)));
+    const prior = aggregateByZip(all.filter((f) => featureMatchesFilters(f.properties, state.compare)));
+
+    const features = [];
+    let maxAbs = 0;
+    for (const zip of new Set([...cur.keys(), ...prior.keys()])) {
+      const c = cur.get(zip);
+      const p = prior.get(zip);
+      const coordinates = c?.coordinates || p?.coordinates;
+      if (!coordinates) continue;
+
+      const curVal = c ? metricFromTotals(c, state.metric) : 0;
+      const priorVal = p ? metricFromTotals(p, state.metric) : 0;
+      const change = curVal - priorVal;
+      maxAbs = Math.max(maxAbs, Math.abs(change));
+
+      features.push({
+        type: "Feature",
+        geometry: { type: "Point", coordinates },
+        properties: {
+          zip,
+          current: curVal,
+          prior: priorVal,
+          change,
+          pctChange: priorVal ? change / Math.abs(priorVal) : null,
+        },
+      });
+    }
+
+    map.getSource(COMPARE_SOURCE_ID)?.setData({ type: "FeatureCollection", features });
+
+    const d = maxAbs || 1;
+    map.setPaintProperty(COMPARE_LAYER_ID, "circle-color", [
+      "interpolate", ["linear"], ["get", "change"],
+      -d, COMPARE_COLORS[0],
+      -d / 2, COMPARE_COLORS[1],
+      0, COMPARE_COLORS[2],
+      d / 2, COMPARE_COLORS[3],
+      d, COMPARE_COLORS[4],
+    ]);
+    map.setPaintProperty(COMPARE_LAYER_ID, "circle-radius", [
+      "interpolate", ["linear"], ["abs", ["get", "change"]],
+      0, 4,
+      d, 18,
+    ]);
+
+    compareStats.maxAbs = maxAbs;
+    log(`Compare rendered • ${features.length} ZIPs • max |change| ${maxAbs}`);
+    return { zips: features.length, maxAbs };
+  }
+
+  function wireCompareClick() {
+    const popup = new mapboxgl.Popup({ closeButton: true, closeOnClick: true, maxWidth: "320px" });
+
+    map.on("mouseenter", COMPARE_LAYER_ID, () => { map.getCanvas().style.cursor = "pointer"; });
+    map.on("mouseleave", COMPARE_LAYER_ID, () => { map.getCanvas().style.cursor = ""; });
+
+    map.on("click", COMPARE_LAYER_ID, (e) => {
+      if (isDrawingArea()) return;
+      const f = e.features && e.features[0];
+      if (!f) return;
+      const p = f.properties || {};
+      const change = Number(p.change) || 0;
+      const pct = (p.pctChange == null || p.pctChange === "null") ? null : Number(p.pctChange);
+      const color = change > 0 ? COMPARE_COLORS[4] : (change < 0 ? COMPARE_COLORS[0] : "#111827");
+      const sign = change > 0 ? "+" : "";
+
+      const html = `
+        <div style="font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;">
+          <div style="font-weight:700; font-size:13px; margin-bottom:6px;">${escapeHtml(p.zip)} • ${escapeHtml(METRICS[state.metric].label)}</div>
+          <div style="font-size:12px; opacity:.9; margin-bottom:8px;">
+            ${formatKeyRange(state.startKey, state.endKey)} vs ${formatKeyRange(state.compare.startKey, state.compare.endKey)}
+          </div>
+          <div style="display:grid; grid-template-columns: 1fr 1fr; gap:8px; font-size:12px;">
+            <div><b>Current</b><br>${formatMetric(p.current, state.metric)}</div>
+            <div><b>Prior</b><br>${formatMetric(p.prior, state.metric)}</div>
+            <div><b>Change</b><br><span style="color:${color};">${sign}${formatMetric(change, state.metric)}</span></div>
+            <div><b>% change</b><br><span style="color:${color};">${pct == null ? "new" : sign + fmtPct(pct)}</span></div>
+          </div>
+        </div>
+      `;
+      popup.setLngLat(e.lngLat).setHTML(html).addTo(map);
+    });
+  }
+
+  // =========================
+  // Choropleth mode (ZIP polygons)
+  // - Sums the filtered features per Zip5 and joins them to ZIP boundary polygons
+  //   loaded from CONFIG.urls.zipBoundaries (first matching field in ZIP_BOUNDARY_FIELDS)
+  // - Classes are stored as feature-state so filter changes don't re-upload geometry
+  // - Tiled data without data.totals covers loaded tiles only, like compare mode; the legend
+  //   says so
+  // =========================
+  const ZIP_SOURCE_ID = "wl-zip-bounds";
+  const ZIP_FILL_LAYER_ID = "wl-zip-fill";
+  const ZIP_LINE_LAYER_ID = "wl-zip-line";
+  const CHORO_COLORS = ["#fff5eb", "#fdbe85", "#fd8d3c", "#e6550d", "#a63603"];
+
+  const choro = {
+    loading: null,  // Promise while the boundary file loads
+    loaded: false,
+    failed: false,
+    breaks: [],     // [min, b1, …, max] for the last render
+    values: new Map(), // zip -> metric value for the last render (per unit while normalized)
+    raw: new Map(),    // zip -> raw metric value for the last render
+    hoverId: null,
+  };
+
+  // "76667", 76667, " 76667 " and "76667-1234" all become "76667"
+  function normZip(v) {
+    if (v == null) return "";
+    const s = String(v).trim();
+    const m = /^(\d{1,5})(?:-\d{4})?$/.exec(s);
+    return m ? m[1].padStart(5, "0") : s;
+  }
+
+  function ensureZipBoundaries() {
+    if (choro.loaded) return Promise.resolve(true);
+    if (choro.loading) return choro.loading;
+
+    choro.loading = (async () => {
+      try {
+        const res = await fetch(CONFIG.urls.zipBoundaries, { cache: "no-store" });
+        if (!res.ok) throw new Error(`${CONFIG.urls.zipBoundaries} HTTP ${res.status}`);
+        const data = await res.json();
+        const feats = Array.isArray(data?.features) ? data.features : [];
+        const sample = feats[0]?.properties || {};
+        const field = ZIP_BOUNDARY_FIELDS.find((f) => sample[f] != null);
+        if (!field) throw new Error(`No ZIP field found (looked for ${ZIP_BOUNDARY_FIELDS.join(", ")})`);
+
+        for (const f of feats) {
+          f.properties = f.properties || {};
+          f.properties.wlZip = normZip(f.properties[field]);
+        }
+
+        map.addSource(ZIP_SOURCE_ID, { type: "geojson", data, promoteId: "wlZip" });
+
+        // Below the faint points so they stay clickable on top of the polygons
+        const beforeId = map.getLayer(POINT_LAYER_ID) ? POINT_LAYER_ID : undefined;
+        map.addLayer({
+          id: ZIP_FILL_LAYER_ID,
+          type: "fill",
+          source: ZIP_SOURCE_ID,
+          layout: { visibility: "none" },
+          paint: {
+            "fill-color": [
+              "match", ["coalesce", ["feature-state", "cls"], -1],
+              ...CHORO_COLORS.flatMap((c, i) => [i, c]),
+              "rgba(0,0,0,0)",
+            ],
+            "fill-opacity": ["case", [">=", ["coalesce", ["feature-state", "cls"], -1], 0], 0.75, 0],
+          },
+        }, beforeId);
+        map.addLayer({
+          id: ZIP_LINE_LAYER_ID,
+          type: "line",
+          source: ZIP_SOURCE_ID,
+          layout: { visibility: "none" },
+          paint: {
+            "line-color": ["case", ["boolean", ["feature-state", "hover"], false], "#111827", "#9ca3af"],
+            "line-width": ["case", ["boolean", ["feature-state", "hover"], false], 2.5, 0.4],
+          },
+        }, beforeId);
+
+        wireChoroplethHover();
+        choro.loaded = true;
+        log(`Loaded ZIP boundaries • ${feats.length} polygons • field "${field}"`);
+        return true;
+      } catch (err) {
+        choro.failed = true;
+        console.warn(LOG_PREFIX, "ZIP boundary load failed:", err);
+        setStatus(`Could not load ZIP boundaries (${CONFIG.urls.zipBoundaries}) — showing heatmap instead.`);
+        return false;
+      } finally {
+        choro.loading = null;
+      }
+    })();
+
+    return choro.loading;
+  }
+
+  function quantileSorted(sorted, q) {
+    if (!sorted.length) return 0;
+    const pos = (sorted.length - 1) * q;
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  }
+
+  // Jenks natural breaks (Fisher-Jenks dynamic programming); returns [min, b1, …, max]
+  function jenksBreaks(sorted, k) {
+    const n = sorted.length;
+    const lower = [];
+    const variance = [];
+    for (let i = 0; i <= n; i++) {
+      lower.push(new Array(k + 1).fill(0));
+      variance.push(new Array(k + 1).fill(0));
+    }
+    for (let j = 1; j <= k; j++) {
+      lower[1][j] = 1;
+      for (let i = 2; i <= n; i++) variance[i][j] = Infinity;
+    }
+
+    for (let l = 2; l <= n; l++) {
+      let s1 = 0;
+      let s2 = 0;
+      let w = 0;
+      let v = 0;
+      for (let m = 1; m <= l; m++) {
+        const i3 = l - m + 1;
+        const val = sorted[i3 - 1];
+        s1 += val;
+        s2 += val * val;
+        w += 1;
+        v = s2 - (s1 * s1) / w;
+        const i4 = i3 - 1;
+        if (i4 !== 0) {
+          for (let j = 2; j <= k; j++) {
+            if (variance[l][j] >= v + variance[i4][j - 1]) {
+              lower[l][j] = i3;
+              variance[l][j] = v + variance[i4][j - 1];
+            }
+          }
+        }
+      }
+      lower[l][1] = 1;
+      variance[l][1] = v;
+    }
+
+    const breaks = new Array(k + 1);
+    breaks[0] = sorted[0];
+    breaks[k] = sorted[n - 1];
+    let idx = n;
+    for (let j = k; j >= 2; j--) {
+      const id = lower[idx][j] - 2;
+      breaks[j - 1] = sorted[Math.max(0, id)];
+      idx = lower[idx][j] - 1;
+    }
+    return breaks;
+  }
+
+  function classBreaks(values, method, k = CHORO_COLORS.length) {
+    const sorted = values.filter((v) => isFinite(v)).sort((a, b) => a - b);
+    if (!sorted.length) return [];
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    if (min === max || sorted.length <= k) return [min, ...sorted.slice(1, -1), max].slice(0, k + 1);
+
+    if (method === "jenks") return jenksBreaks(sorted, k);
+    const out = [min];
+    for (let i = 1; i < k; i++) {
+      out.push(method === "equal" ? min + ((max - min) * i) / k : quantileSorted(sorted, i / k));
+    }
+    out.push(max);
+    return out;
+  }
+
+  function classIndex(v, breaks) {
+    const k = breaks.length - 1;
+    for (let i = 1; i < k; i++) if (v <= breaks[i]) return i - 1;
+    return Math.max(0, k - 1);
+  }
+
+  function renderChoropleth() {
+    if (!choro.loaded || !map.getSource(ZIP_SOURCE_ID)) return null;
+
+    const totals = aggregateByZip(filteredSourceFeatures());
+    const normalized = isNormalized();
+    choro.values = new Map();
+    choro.raw = new Map();
+    for (const row of totals.values()) {
+      const zip = normZip(row.zip);
+      const raw = metricFromTotals(row, state.metric);
+      const value = normalized ? normalizeValue(raw, zip) : raw;
+      choro.raw.set(zip, raw);
+      if (value != null) choro.values.set(zip, value); // no demographic figure: left unshaded (demographics.gaps)
+    }
+    choro.breaks = classBreaks(Array.from(choro.values.values()), state.classMethod);
+
+    map.removeFeatureState({ source: ZIP_SOURCE_ID });
+    for (const [zip, value] of choro.values) {
+      map.setFeatureState({ source: ZIP_SOURCE_ID, id: zip }, { value, cls: classIndex(value, choro.breaks) });
+    }
+
+    log(`Choropleth rendered • ${choro.values.size} ZIPs • ${CLASS_METHODS[state.classMethod]}`);
+    return { zips: choro.values.size, breaks: choro.breaks };
+  }
+
+  function wireChoroplethHover() {
+    const popup = new mapboxgl.Popup({ closeButton: true, closeOnClick: true, maxWidth: "320px" });
+
+    const setHover = (id) => {
+      if (choro.hoverId != null) map.setFeatureState({ source: ZIP_SOURCE_ID, id: choro.hoverId }, { hover: false });
+      choro.hoverId = id;
+      if (id != null) map.setFeatureState({ source: ZIP_SOURCE_ID, id }, { hover: true });
+    };
+
+    map.on("mousemove", ZIP_FILL_LAYER_ID, (e) => {
+      const id = e.features?.[0]?.id;
+      if (id !== choro.hoverId) setHover(id ?? null);
+    });
+    map.on("mouseleave", ZIP_FILL_LAYER_ID, () => setHover(null));
+
+    map.on("click", ZIP_FILL_LAYER_ID, (e) => {
+      if (isDrawingArea()) return;
+      // Point clicks open the ZIP detail themselves (with the clicked branch highlighted)
+      if (map.getLayer(HIT_LAYER_ID) && map.queryRenderedFeatures(e.point, { layers: [HIT_LAYER_ID] }).length) return;
+      const zip = e.features?.[0]?.id;
+      if (zip == null) return;
+      const value = choro.values.get(String(zip));
+      const raw = choro.raw.get(String(zip));
+      const cls = value == null ? null : classIndex(value, choro.breaks);
+      const range = cls == null ? "" :
+        `${formatMetric(choro.breaks[cls], state.metric)} – ${formatMetric(choro.breaks[cls + 1], state.metric)}`;
+      const perLine = !isNormalized() || raw == null ? "" : `
+          <div style="font-size:12px;"><b>${escapeHtml(metricDisplayLabel())}:</b> ${value == null
+            ? `no ${NORMALIZERS[state.normalize].column.toLowerCase()} figure for this ZIP`
+            : `${formatMetric(value, state.metric)} (${fmtNum(demographicCount(zip))} ${NORMALIZERS[state.normalize].column.toLowerCase()})`}</div>`;
+
+      popup.setLngLat(e.lngLat).setHTML(`
+        <div style="font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;">
+          <div style="font-weight:700; font-size:13px; margin-bottom:6px;">${escapeHtml(zip)}</div>
+          <div style="font-size:12px;"><b>${escapeHtml(METRICS[state.metric].label)}:</b> ${raw == null ? "No sales in filter" : formatMetric(raw, state.metric)}</div>
+          ${perLine}
+          ${range ? `<div style="font-size:12px; opacity:.8; margin-top:4px;">Class ${cls + 1} of ${choro.breaks.length - 1}: ${range}</div>` : ""}
+        </div>
+      `).addTo(map);
+      openZipDetail(zip);
+      notify("click", { zip: String(zip), branch: null, lngLat: [e.lngLat.lng, e.lngLat.lat] });
+    });
+  }
+
+  // =========================
+  // Branch share view (which store wins each ZIP)
+  // - One circle per ZIP, colored by the branch with the largest share of the active metric
+  //   (of Sales for ratio metrics, as in the leaderboard); the more dominant, the more opaque
+  // - Contested: no branch reaches CONFIG.branchShare.contestedBelow → gray with a dark ring
+  // - Sized by the ZIP's total; click lists every branch's share and opens the ZIP detail
+  // - Shares are among the filtered branches; negative profit counts as 0
+  // =========================
+  const SHARE_SOURCE_ID = "wl-share";
+  const SHARE_LAYER_ID = "wl-share-circles";
+  const SHARE_COLORS = ["#4e79a7", "#f28e2b", "#e15759", "#76b7b2", "#59a14f", "#edc948", "#b07aa1", "#ff9da7", "#9c755f", "#17becf"];
+  const CONTESTED_COLOR = "#9ca3af";
+
+  const branchShare = {
+    colors: new Map(), // branch -> color, kept for the session so a store never changes color
+    zips: new Map(),   // zip -> { branches: [{ branch, value, share }], total, leader, contested } (last render)
+    winners: new Map(), // leading branch -> ZIPs won (contested ones excluded), for the legend
+    contested: 0,
+  };
+
+  // First call hands out colors in name order, so the same data always gets the same colors
+  function branchColor(name) {
+    if (!branchShare.colors.size) {
+      const names = new Set(collectSourceFeatures().map((f) => String(f.properties.BranchName ?? "—")));
+      Array.from(names).sort().forEach((n, i) => branchShare.colors.set(n, SHARE_COLORS[i % SHARE_COLORS.length]));
+    }
+    if (!branchShare.colors.has(name)) branchShare.colors.set(name, SHARE_COLORS[branchShare.colors.size % SHARE_COLORS.length]);
+    return branchShare.colors.get(name);
+  }
+
+  function ensureShareLayer() {
+    if (!map.getSource(SHARE_SOURCE_ID)) {
+      map.addSource(SHARE_SOURCE_ID, { type: "geojson", data: { type: "FeatureCollection", features: [] } });
+    }
+    if (!map.getLayer(SHARE_LAYER_ID)) {
+      map.addLayer({
+        id: SHARE_LAYER_ID,
+        type: "circle",
+        source: SHARE_SOURCE_ID,
+        layout: { visibility: "none" },
+        paint: {
+          "circle-color": ["case", ["get", "contested"], CONTESTED_COLOR, ["get", "color"]],
+          "circle-radius": 6,
+          "circle-opacity": 0.85,
+          "circle-stroke-color": ["case", ["get", "contested"], "#111827", "#ffffff"],
+          "circle-stroke-width": ["case", ["get", "contested"], 2, 0.75],
+        },
+      });
+    }
+  }
+
+  function renderBranchShare() {
+    if (!map.getSource(SHARE_SOURCE_ID)) return null;
+    const threshold = CONFIG.branchShare.contestedBelow;
+    const prop = shareProp();
+
+    const byZip = new Map();
+    const rows = aggregateBy(filteredSourceFeatures(), ["Zip5", "BranchName"]);
+    for (const r of rows.values()) {
+      const zip = normZip(r.Zip5);
+      let z = byZip.get(zip);
+      if (!z) {
+        z = { branches: [], total: 0, coordinates: r.coordinates };
+        byZip.set(zip, z);
+      }
+      const value = Math.max(0, Number(r[prop]) || 0);
+      z.branches.push({ branch: r.BranchName, value });
+      z.total += value;
+      if (!z.coordinates) z.coordinates = r.coordinates;
+    }
+
+    branchShare.zips = new Map();
+    branchShare.winners = new Map();
+    branchShare.contested = 0;
+    const features = [];
+    let maxTotal = 0;
+    for (const [zip, z] of byZip) {
+      if (!z.coordinates || !z.total) continue;
+      z.branches.forEach((b) => { b.share = b.value / z.total; });
+      z.branches.sort((a, b) => b.value - a.value);
+      const lead = z.branches[0];
+      z.leader = lead.branch;
+      z.contested = lead.share < threshold;
+      branchShare.zips.set(zip, z);
+      if (z.contested) branchShare.contested += 1;
+      else branchShare.winners.set(lead.branch, (branchShare.winners.get(lead.branch) || 0) + 1);
+      maxTotal = Math.max(maxTotal, z.total);
+
+      features.push({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: z.coordinates },
+        properties: { zip, leader: lead.branch, share: lead.share, contested: z.contested, color: branchColor(lead.branch), total: z.total },
+      });
+    }
+
+    map.getSource(SHARE_SOURCE_ID)?.setData({ type: "FeatureCollection", features });
+    map.setPaintProperty(SHARE_LAYER_ID, "circle-opacity", threshold < 1
+      ? ["case", ["get", "contested"], 0.75, ["interpolate", ["linear"], ["get", "share"], threshold, 0.3, 1, 0.95]]
+      : 0.75);
+    map.setPaintProperty(SHARE_LAYER_ID, "circle-radius", [
+      "interpolate", ["linear"], ["sqrt", ["get", "total"]],
+      0, 4,
+      Math.sqrt(maxTotal) || 1, 18,
+    ]);
+
+    log(`Branch share rendered • ${features.length} ZIPs • ${branchShare.contested} contested`);
+    return { zips: features.length, contested: branchShare.contested };
+  }
+
+  function wireShareClick() {
+    const popup = new mapboxgl.Popup({ closeButton: true, closeOnClick: true, maxWidth: "320px" });
+
+    map.on("mouseenter", SHARE_LAYER_ID, () => { map.getCanvas().style.cursor = "pointer"; });
+    map.on("mouseleave", SHARE_LAYER_ID, () => { map.getCanvas().style.cursor = ""; });
+
+    map.on("click", SHARE_LAYER_ID, (e) => {
+      if (isDrawingArea()) return;
+      const zip = e.features?.[0]?.properties?.zip;
+      const z = zip == null ? null : branchShare.zips.get(String(zip));
+      if (!z) return;
+      const additive = !!METRICS[state.metric]?.prop; // see shareProp()
+      const label = additive ? METRICS[state.metric].label : "Sales";
+      const fmtValue = (v) => (additive ? formatMetricCompact(v, state.metric) : fmtCompactMoney(v));
+      const pct = Math.round(CONFIG.branchShare.contestedBelow * 100);
+      const rows = z.branches.map((b) => `
+        <tr style="${b.branch === z.leader ? "font-weight:700;" : ""}">
+          <td style="padding:1px 4px 1px 0;"><span style="display:inline-block; width:9px; height:9px; border-radius:50%; background:${branchColor(b.branch)}; margin-right:4px;"></span>${escapeHtml(b.branch)}</td>
+          <td style="padding:1px 4px; text-align:right;">${escapeHtml(fmtValue(b.value))}</td>
+          <td style="padding:1px 0 1px 4px; text-align:right;">${fmtPct(b.share)}</td>
+        </tr>`).join("");
+
+      popup.setLngLat(e.lngLat).setHTML(`
+        <div style="font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;">
+          <div style="font-weight:700; font-size:13px; margin-bottom:4px;">${escapeHtml(zip)} • share of ${escapeHtml(label)}</div>
+          <div style="font-size:12px; margin-bottom:6px; color:${z.contested ? "#92400e" : "#374151"};">
+            ${z.contested ? `Contested: no branch has ${pct}% or more` : `${escapeHtml(z.leader)} leads with ${fmtPct(z.branches[0].share)}`}
+          </div>
+          <table style="border-collapse:collapse; font-size:12px; width:100%;"><tbody>${rows}</tbody></table>
+        </div>
+      `).addTo(map);
+      openZipDetail(zip);
+      notify("click", { zip: String(zip), branch: null, lngLat: [e.lngLat.lng, e.lngLat.lat] });
+    });
+  }
+
+  // =========================
+  // Alerts (ZIPs off their trailing baseline)
+  // - Overlay on any view: the Start → End window vs the same filters over the
+  //   state.alerts.weeks weeks before Start
+  // - Additive metrics compare the window's weekly rate with the baseline's weekly average;
+  //   ratios (margin, avg ticket) compare the window's ratio with the baseline's
+  // - Flags by % change or z-score (week-to-week spread, scaled to the window's length; a
+  //   window that runs past today or the latest sale is measured only up to it);
+  //   ZIPs with sales in fewer than CONFIG.alerts.minActiveWeeks baseline weeks are skipped
+  // - ▲ / ▼ markers on the map and a sidebar list, most severe first; the Zip5/BranchName
+  //   split names the branch that moved most (share metric, see shareProp)
+  // - Baselines need every record, so tiled sources need data.totals (see incompleteDataNote)
+  // =========================
+  const ALERT_SOURCE_ID = "wl-alerts";
+  const ALERT_LAYER_ID = "wl-alert-markers";
+  const ALERT_COLORS = { up: "#15803d", down: "#b91c1c" };
+  const ALERT_WEEK_OPTIONS = [4, 8, 12, 26, 52];
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const alerts = {
+    list: [],         // flagged ZIPs, most severe first (last render)
+    byZip: new Map(), // zip -> alert, for the ZIP detail panel
+    checked: 0,       // ZIPs with enough baseline history to judge
+    el: null,
+  };
+
+  // Default threshold for a mode (pct is a fraction: 0.3 = ±30%)
+  function defaultAlertThreshold(mode) {
+    return mode === "z" ? CONFIG.alerts.zThreshold : CONFIG.alerts.pctThreshold;
+  }
+
+  // Returns { ready, note } like compareReadiness()
+  function alertsReadiness() {
+    if (!state.alerts.enabled) return { ready: false, note: "" };
+    if (state.startKey == null || state.endKey == null) return { ready: false, note: "need a start and end date" };
+    if (schema.detected && !schema.fields.saleDate && !schema.fields.saleDateKey) return { ready: false, note: "the data has no sale date" };
+    if (!hasCompleteData()) return { ready: false, note: "need data.totals for tiled data" };
+    return { ready: true, note: "" };
+  }
+
+  // The state.alerts.weeks whole weeks that end the day before Start
+  function alertBaselineRange() {
+    const s = keyToDate(state.startKey);
+    return {
+      startKey: dateToKeyNum(new Date(s.getFullYear(), s.getMonth(), s.getDate() - state.alerts.weeks * 7)),
+      endKey: dateToKeyNum(new Date(s.getFullYear(), s.getMonth(), s.getDate() - 1)),
+    };
+  }
+
+  function computeAlerts() {
+    const { weeks, mode, threshold } = state.alerts;
+    const base = alertBaselineRange();
+    const baseStart = keyToDate(base.startKey);
+    const m = METRICS[state.metric];
+    const sp = shareProp();
+    const emptyTotals = () => {
+      const t = { records: 0 };
+      for (const prop of SUM_PROPS) t[prop] = 0;
+      return t;
+    };
+
+    const byZip = new Map();
+    let latestKey = 0;
+    for (const f of collectSourceFeatures()) {
+      const p = f.properties;
+      const dk = featureDateKey(p);
+      if (dk == null) continue;
+      if (dk > latestKey) latestKey = dk;
+      if (!featureMatchesFilters(p, { startKey: base.startKey, endKey: state.endKey })) continue;
+      const zip = normZip(p.Zip5);
+      let z = byZip.get(zip);
+      if (!z) {
+        z = { zip, coordinates: f.coordinates, weeks: Array.from({ length: weeks }, emptyTotals), window: emptyTotals(), branches: new Map() };
+        byZip.set(zip, z);
+      }
+      if (!z.coordinates) z.coordinates = f.coordinates;
+
+      const inWindow = dk >= state.startKey;
+      const bucket = inWindow ? z.window : z.weeks[Math.floor(Math.round((keyToDate(dk) - baseStart) / DAY_MS) / 7)];
+      if (!bucket) continue;
+      bucket.records += 1;
+      for (const prop of SUM_PROPS) bucket[prop] += Number(p[prop]) || 0;
+
+      const branch = String(p.BranchName ?? "—");
+      if (!z.branches.has(branch)) z.branches.set(branch, { base: 0, window: 0 });
+      z.branches.get(branch)[inWindow ? "window" : "base"] += Number(p[sp]) || 0;
+    }
+
+    // Weekly rates divide by the weeks the window has actually covered so far
+    const windowEnd = Math.max(state.startKey, Math.min(state.endKey, dateToKeyNum(new Date()), latestKey || state.endKey));
+    const windowWeeks = (Math.round((keyToDate(windowEnd) - keyToDate(state.startKey)) / DAY_MS) + 1) / 7;
+
+    const list = [];
+    let checked = 0;
+    for (const z of byZip.values()) {
+      const active = z.weeks.filter((w) => w.records);
+      if (active.length < Math.min(CONFIG.alerts.minActiveWeeks, weeks) || !z.coordinates) continue;
+      if (!m.prop && !z.window.records) continue; // a ratio needs sales in the window
+
+      const series = m.prop ? z.weeks.map((w) => w[m.prop]) : active.map((w) => metricFromTotals(w, state.metric));
+      const baseTotals = emptyTotals();
+      for (const w of z.weeks) for (const prop of SUM_PROPS) baseTotals[prop] += w[prop];
+      const baseline = m.prop ? baseTotals[m.prop] / weeks : metricFromTotals(baseTotals, state.metric);
+      const current = m.prop ? z.window[m.prop] / windowWeeks : metricFromTotals(z.window, state.metric);
+      checked += 1;
+
+      const avg = series.reduce((a, v) => a + v, 0) / series.length;
+      const sd = Math.sqrt(series.reduce((a, v) => a + (v - avg) ** 2, 0) / Math.max(1, series.length - 1));
+      const se = sd / Math.sqrt(Math.max(1, windowWeeks));
+      const diff = current - baseline;
+      const pct = baseline ? diff / Math.abs(baseline) : null;
+      const zScore = se ? diff / se : (diff ? Math.sign(diff) * Infinity : 0);
+      const score = mode === "z" ? zScore : pct;
+      if (score == null || Math.abs(score) < threshold) continue;
+
+      // Branch whose weekly share metric moved furthest the same way
+      const dir = diff > 0 ? "up" : "down";
+      let driver = null;
+      let swing = 0;
+      for (const [name, b] of z.branches) {
+        const move = (b.window / windowWeeks - b.base / weeks) * (dir === "up" ? 1 : -1);
+        if (move > swing) {
+          driver = name;
+          swing = move;
+        }
+      }
+
+      list.push({ zip: z.zip, coordinates: z.coordinates, dir, current, baseline, pct, z: zScore, severity: Math.abs(score), driver });
+    }
+
+    list.sort((a, b) => b.severity - a.severity);
+    return { list, checked };
+  }
+
+  // Triangle marker (▲ spike / ▼ drop) drawn at 2x so it stays crisp
+  function alertIcon(dir) {
+    const size = 36;
+    const canvas = document.createElement("canvas");
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext("2d");
+    ctx.beginPath();
+    if (dir === "up") {
+      ctx.moveTo(size / 2, 4);
+      ctx.lineTo(size - 4, size - 6);
+      ctx.lineTo(4, size - 6);
+    } else {
+      ctx.moveTo(size / 2, size - 4);
+      ctx.lineTo(size - 4, 6);
+      ctx.lineTo(4, 6);
+    }
+    ctx.closePath();
+    ctx.fillStyle = ALERT_COLORS[dir];
+    ctx.fill();
+    ctx.lineJoin = "round";
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = "#ffffff";
+    ctx.stroke();
+    return ctx.getImageData(0, 0, size, size);
+  }
+
+  function ensureAlertLayer() {
+    for (const dir of ["up", "down"]) {
+      if (!map.hasImage(`wl-alert-${dir}`)) map.addImage(`wl-alert-${dir}`, alertIcon(dir), { pixelRatio: 2 });
+    }
+    if (!map.getSource(ALERT_SOURCE_ID)) {
+      map.addSource(ALERT_SOURCE_ID, { type: "geojson", data: { type: "FeatureCollection", features: [] } });
+    }
+    if (!map.getLayer(ALERT_LAYER_ID)) {
+      map.addLayer({
+        id: ALERT_LAYER_ID,
+        type: "symbol",
+        source: ALERT_SOURCE_ID,
+        layout: {
+          visibility: "none",
+          "icon-image": ["concat", "wl-alert-", ["get", "dir"]],
+          // `level` = severity / threshold (capped), so bigger breaks draw bigger and on top
+          "icon-size": ["interpolate", ["linear"], ["get", "level"], 1, 0.8, 4, 1.4],
+          "icon-allow-overlap": true,
+          "icon-ignore-placement": true,
+          "symbol-sort-key": ["get", "level"],
+        },
+      });
+    }
+  }
+
+  function wireAlertClick() {
+    map.on("mouseenter", ALERT_LAYER_ID, () => { map.getCanvas().style.cursor = "pointer"; });
+    map.on("mouseleave", ALERT_LAYER_ID, () => { map.getCanvas().style.cursor = ""; });
+
+    map.on("click", ALERT_LAYER_ID, (e) => {
+      if (isDrawingArea()) return;
+      const zip = e.features?.[0]?.properties?.zip;
+      if (zip == null) return;
+      openZipDetail(String(zip));
+      notify("click", { zip: String(zip), branch: null, lngLat: [e.lngLat.lng, e.lngLat.lat] });
+    });
+  }
+
+  // Window / baseline value as text: additive metrics per week, ratios as they are
+  function alertValueText(v) {
+    return `${formatMetricCompact(v, state.metric)}${METRICS[state.metric].prop ? "/wk" : ""}`;
+  }
+
+  function alertChangeText(a) {
+    if (state.alerts.mode === "z") return `z ${isFinite(a.z) ? `${a.z > 0 ? "+" : ""}${a.z.toFixed(1)}` : (a.z > 0 ? "+∞" : "−∞")}`;
+    return a.pct == null ? "new" : `${a.pct > 0 ? "+" : ""}${fmtPct(a.pct)}`;
+  }
+
+  // "±30%" / "z ±2"
+  function alertThresholdText() {
+    const { mode, threshold } = state.alerts;
+    return mode === "z" ? `z ±${threshold}` : `±${Math.round(threshold * 100)}%`;
+  }
+
+  // Recomputes the overlay and the panel; returns the status-line summary ("" when off)
+  function updateAlerts() {
+    const { ready, note } = alertsReadiness();
+    const result = ready ? computeAlerts() : { list: [], checked: 0 };
+    alerts.list = result.list;
+    alerts.byZip = new Map(result.list.map((a) => [a.zip, a]));
+    alerts.checked = result.checked;
+
+    if (map.getSource(ALERT_SOURCE_ID)) {
+      const cap = (a) => Math.min(4, state.alerts.threshold ? a.severity / state.alerts.threshold : 4);
+      map.getSource(ALERT_SOURCE_ID).setData({
+        type: "FeatureCollection",
+        features: alerts.list.map((a) => ({
+          type: "Feature",
+          geometry: { type: "Point", coordinates: a.coordinates },
+          properties: { zip: a.zip, dir: a.dir, level: cap(a) },
+        })),
+      });
+      setLayerVisible(ALERT_LAYER_ID, ready);
+    }
+    renderAlertsPanel(note);
+
+    if (!state.alerts.enabled) return "";
+    if (!ready) return note;
+    const down = alerts.list.filter((a) => a.dir === "down").length;
+    log(`Alerts • ${alerts.list.length} of ${alerts.checked} ZIPs outside ${alertThresholdText()}`);
+    return `${alerts.list.length} ZIP${alerts.list.length === 1 ? "" : "s"} outside ${alertThresholdText()} of their ${state.alerts.weeks}-week baseline` +
+      ` (${down} down, ${alerts.list.length - down} up)`;
+  }
+
+  // Permalink / saved view restore; missing pieces fall back to the config defaults
+  function setAlertsUI({ enabled = false, weeks = null, mode = null, threshold = null } = {}) {
+    const m = ALERT_MODES[mode] ? mode : CONFIG.alerts.mode;
+    state.alerts = {
+      enabled: !!enabled,
+      weeks: weeks >= 2 && weeks <= 104 ? Math.round(weeks) : CONFIG.alerts.baselineWeeks,
+      mode: m,
+      threshold: threshold > 0 ? threshold : defaultAlertThreshold(m),
+    };
+    syncAlertControls();
+  }
+
+  function syncAlertControls() {
+    const box = alerts.el;
+    if (!box) return;
+    const { enabled, weeks, mode, threshold } = state.alerts;
+    box.querySelector(".wl-al-toggle").checked = enabled;
+    const weeksSel = box.querySelector(".wl-al-weeks");
+    // Config default and permalink values join the preset list
+    weeksSel.innerHTML = Array.from(new Set([...ALERT_WEEK_OPTIONS, CONFIG.alerts.baselineWeeks, weeks])).sort((a, b) => a - b)
+      .map((w) => `<option value="${w}">Prior ${w} weeks</option>`).join("");
+    weeksSel.value = String(weeks);
+    box.querySelector(".wl-al-mode").value = mode;
+    const input = box.querySelector(".wl-al-threshold");
+    input.step = mode === "z" ? "0.5" : "5";
+    input.min = mode === "z" ? "0.5" : "1";
+    input.value = String(mode === "z" ? threshold : Math.round(threshold * 100));
+    box.querySelector(".wl-al-unit").textContent = mode === "z" ? "σ" : "%";
+    box.querySelectorAll(".wl-al-settings select, .wl-al-settings input").forEach((c) => { c.disabled = !enabled; });
+  }
+
+  function ensureAlertsPanel() {
+    if (alerts.el) return alerts.el;
+    const anchor = leaderboard.el || els.status;
+    if (!anchor) return null;
+
+    if (!document.getElementById("wlAlertsStyle")) {
+      const st = document.createElement("style");
+      st.id = "wlAlertsStyle";
+      st.textContent = `
+        #wlAlerts{ margin-top:14px; font-size:12px; color:#111827; }
+        #wlAlerts .wl-al-title{ font-weight:700; color:#374151; margin-bottom:6px; }
+        #wlAlerts .wl-al-head{ display:flex; align-items:center; gap:6px; margin:0 0 6px; font-size:12px; }
+        #wlAlerts .wl-al-head input{ width:auto; margin:0; }
+        #wlAlerts .wl-al-settings{ display:grid; grid-template-columns:1fr 1fr auto; gap:6px; align-items:center; }
+        #wlAlerts .wl-al-threshold-wrap{ display:flex; align-items:center; gap:3px; }
+        #wlAlerts .wl-al-threshold{ width:56px; }
+        #wlAlerts .wl-al-wrap{ max-height:260px; overflow:auto; border:1px solid #e5e7eb; border-radius:8px; margin-top:8px; }
+        #wlAlerts table{ width:100%; border-collapse:collapse; font-size:11px; }
+        #wlAlerts th{ position:sticky; top:0; background:#f9fafb; text-align:left; padding:5px 4px; border-bottom:1px solid #e5e7eb; white-space:nowrap; }
+        #wlAlerts td{ padding:4px; border-bottom:1px solid #f3f4f6; white-space:nowrap; }
+        #wlAlerts th.num, #wlAlerts td.num{ text-align:right; }
+        #wlAlerts tbody tr{ cursor:pointer; }
+        #wlAlerts tbody tr:hover{ background:#f3f4f6; }
+        #wlAlerts .wl-al-up{ color:${ALERT_COLORS.up}; }
+        #wlAlerts .wl-al-down{ color:${ALERT_COLORS.down}; }
+        #wlAlerts .wl-al-note{ color:#6b7280; margin-top:6px; }
+      `;
+      document.head.appendChild(injected(st));
+    }
+
+    const box = document.createElement("div");
+    box.id = "wlAlerts";
+    box.innerHTML = `
+      <div class="wl-al-title">Alerts (vs trailing baseline)</div>
+      <label class="wl-al-head"><input type="checkbox" class="wl-al-toggle" /> Flag ZIPs that drop or spike</label>
+      <div class="wl-al-settings">
+        <select class="wl-al-weeks" aria-label="Baseline"></select>
+        <select class="wl-al-mode" aria-label="Threshold type">
+          ${Object.entries(ALERT_MODES).map(([k, label]) => `<option value="${k}">${label}</option>`).join("")}
+        </select>
+        <span class="wl-al-threshold-wrap">±<input type="number" class="wl-al-threshold" aria-label="Threshold" /><span class="wl-al-unit"></span></span>
+      </div>
+      <div class="wl-al-list"></div>
+    `;
+    anchor.insertAdjacentElement("afterend", injected(box));
+
+    box.querySelector(".wl-al-toggle").addEventListener("change", (e) => {
+      state.alerts.enabled = e.target.checked;
+      applyFilters();
+    });
+    box.querySelector(".wl-al-weeks").addEventListener("change", (e) => {
+      state.alerts.weeks = Number(e.target.value);
+      applyFilters();
+    });
+    box.querySelector(".wl-al-mode").addEventListener("change", (e) => {
+      state.alerts.mode = e.target.value;
+      state.alerts.threshold = defaultAlertThreshold(e.target.value);
+      applyFilters();
+    });
+    box.querySelector(".wl-al-threshold").addEventListener("change", (e) => {
+      const v = Number(e.target.value);
+      if (v > 0) state.alerts.threshold = state.alerts.mode === "z" ? v : v / 100;
+      applyFilters();
+    });
+
+    box.querySelector(".wl-al-list").addEventListener("click", (e) => {
+      const tr = e.target.closest("tr[data-zip]");
+      const a = tr && alerts.byZip.get(tr.dataset.zip);
+      if (a) focusZip(a.zip, null, a.coordinates);
+    });
+
+    alerts.el = box;
+    syncAlertControls();
+    return box;
+  }
+
+  function renderAlertsPanel(note) {
+    const box = ensureAlertsPanel();
+    if (!box) return;
+    syncAlertControls();
+
+    const listEl = box.querySelector(".wl-al-list");
+    const { enabled, weeks } = state.alerts;
+    if (!enabled) {
+      listEl.innerHTML = "";
+      return;
+    }
+    if (!hasCompleteData()) {
+      listEl.innerHTML = `<div class="wl-al-note">${escapeHtml(incompleteDataNote("Alerts"))}</div>`;
+      return;
+    }
+    if (note) {
+      listEl.innerHTML = `<div class="wl-al-note">Alerts ${escapeHtml(note)}.</div>`;
+      return;
+    }
+    if (!alerts.list.length) {
+      listEl.innerHTML = `
+        <div class="wl-al-note">No ZIPs outside ${alertThresholdText()} of their ${weeks}-week baseline (${fmtNum(alerts.checked)} checked).</div>
+      `;
+      return;
+    }
+
+    listEl.innerHTML = `
+      <div class="wl-al-wrap">
+        <table>
+          <thead><tr><th></th><th>ZIP</th><th class="num">Now</th><th class="num">Baseline</th><th class="num">Change</th><th>Mostly</th></tr></thead>
+          <tbody>
+            ${alerts.list.map((a) => `
+              <tr data-zip="${escapeHtml(a.zip)}" title="${escapeHtml(a.dir === "up" ? "Spike" : "Drop")} – open ZIP ${escapeHtml(a.zip)}">
+                <td class="wl-al-${a.dir}">${a.dir === "up" ? "▲" : "▼"}</td>
+                <td>${escapeHtml(a.zip)}</td>
+                <td class="num">${escapeHtml(alertValueText(a.current))}</td>
+                <td class="num">${escapeHtml(alertValueText(a.baseline))}</td>
+                <td class="num wl-al-${a.dir}">${escapeHtml(alertChangeText(a))}</td>
+                <td>${escapeHtml(a.driver ?? "—")}</td>
+              </tr>
+            `).join("")}
+          </tbody>
+        </table>
+      </div>
+      <div class="wl-al-note">${fmtNum(alerts.list.length)} of ${fmtNum(alerts.checked)} ZIPs with ${weeks}-week history, most severe first.</div>
+    `;
+  }
+
+  // =========================
+  // View modes
+  // - Compare (when ready) wins, then choropleth or branch share, else the heatmap
+  // - Choropleth keeps the faint points + hit layer so point popups still work; compare and
+  //   branch share draw their own per-ZIP circles instead
+  // =========================
+  function activeView() {
+    if (compareReadiness().ready) return "compare";
+    if (state.view === "choropleth" && !choro.failed) return "choropleth";
+    if (state.view === "share") return "share";
+    return "heatmap";
+  }
+
+  // True when the active view is totalled client-side and should refresh as tiles load
+  function viewNeedsClientTotals() {
+    return activeView() !== "heatmap";
+  }
+
+  function renderViewLayers() {
+    const view = activeView();
+
+    setLayerVisible(HEAT_LAYER_ID, view === "heatmap");
+    const ownCircles = view === "compare" || view === "share";
+    setLayerVisible(POINT_LAYER_ID, !ownCircles && state.showPoints);
+    setLayerVisible(HIT_LAYER_ID, !ownCircles);
+    setLayerVisible(COMPARE_LAYER_ID, view === "compare");
+    setLayerVisible(SHARE_LAYER_ID, view === "share");
+    setLayerVisible(ZIP_FILL_LAYER_ID, view === "choropleth");
+    setLayerVisible(ZIP_LINE_LAYER_ID, view === "choropleth");
+
+    if (view === "compare") renderCompare();
+    if (view === "share") renderBranchShare();
+    if (view === "choropleth") {
+      if (choro.loaded) renderChoropleth();
+      else ensureZipBoundaries().then(() => renderViewLayers()); // falls back to heatmap if the load failed
+    }
+    updateLegend();
+    return view;
+  }
+
+  // =========================
+  // Legend (map control, bottom-left)
+  // - Heatmap: the layer's actual heatmap-color ramp, labelled with the heatmap-weight stops
+  // - Choropleth: class swatches with their ranges; Compare: the diverging change scale;
+  //   Branch share: one swatch per leading branch plus the contested style
+  // - Scope lines (metric, branch, group, dates) and a toggle for the wl-points layer
+  // - Collapsible; starts collapsed on mobile so it doesn't cover the map
+  // =========================
+
+  // Mapbox's default heatmap-color (used when the layer doesn't set its own)
+  const DEFAULT_HEATMAP_COLOR = [
+    "interpolate", ["linear"], ["heatmap-density"],
+    0, "rgba(0, 0, 255, 0)",
+    0.1, "royalblue",
+    0.3, "cyan",
+    0.5, "lime",
+    0.7, "yellow",
+    1, "red",
+  ];
+
+  function formatMetricCompact(v, metricKey) {
+    const fmt = (METRICS[metricKey] || METRICS[DEFAULT_METRIC]).format;
+    if (fmt === "pct") return fmtPct(v);
+    if (fmt === "number") return Number(v).toLocaleString(undefined, { notation: "compact", maximumFractionDigits: 1 });
+    return fmtCompactMoney(v);
+  }
+
+  // ["interpolate", …, input, s0, c0, s1, c1, …] -> CSS linear-gradient
+  // heatmap-color interpolate expression -> [[offset 0..1, color], ...]
+  function rampStops(expr) {
+    const e = Array.isArray(expr) && expr[0] === "interpolate" ? expr : DEFAULT_HEATMAP_COLOR;
+    const stops = [];
+    for (let i = 3; i + 1 < e.length; i += 2) stops.push([Number(e[i]), e[i + 1]]);
+    return stops;
+  }
+
+  const evenStops = (colors) => colors.map((c, i) => [i / (colors.length - 1), c]);
+
+  class LegendControl {
+    onAdd() {
+      ensureLegendStyle();
+      const el = document.createElement("div");
+      el.className = "mapboxgl-ctrl wl-legend";
+      el.innerHTML = `
+        <button type="button" class="wl-legend-head">
+          <span class="wl-legend-title">Legend</span><span class="wl-legend-caret">▾</span>
+        </button>
+        <div class="wl-legend-body">
+          <div class="wl-legend-scale"></div>
+          <div class="wl-legend-scope"></div>
+          <label class="wl-legend-points"><input type="checkbox" checked /> Show points</label>
+        </div>
+      `;
+      el.querySelector(".wl-legend-head").addEventListener("click", () => el.classList.toggle("is-collapsed"));
+      el.querySelector(".wl-legend-points input").addEventListener("change", (e) => {
+        state.showPoints = e.target.checked;
+        renderViewLayers();
+      });
+      if (isMobileViewport()) el.classList.add("is-collapsed");
+      this._el = el;
+      return el;
+    }
+
+    onRemove() {
+      this._el?.remove();
+      this._el = null;
+    }
+  }
+
+  function ensureLegendStyle() {
+    if (document.getElementById("wlLegendStyle")) return;
+    const st = document.createElement("style");
+    st.id = "wlLegendStyle";
+    st.textContent = `
+      .wl-legend{
+        background: rgba(255,255,255,.95);
+        border-radius: 10px;
+        box-shadow: 0 6px 18px rgba(0,0,0,.12);
+        padding: 8px 10px;
+        width: 240px;
+        font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;
+        font-size: 11px;
+        color: #111827;
+      }
+      .wl-legend .wl-legend-head{
+        all: unset;
+        display:flex;
+        width:100%;
+        justify-content:space-between;
+        align-items:center;
+        cursor:pointer;
+        font-weight:700;
+        font-size:12px;
+        color:#111827;
+        -webkit-text-fill-color:#111827;
+      }
+      .wl-legend.is-collapsed .wl-legend-body{ display:none; }
+      .wl-legend.is-collapsed .wl-legend-caret{ transform: rotate(-90deg); }
+      .wl-legend .wl-legend-bar{ height:10px; border-radius:4px; margin:6px 0 2px 0; border:1px solid rgba(0,0,0,.08); }
+      .wl-legend .wl-legend-ticks{ position:relative; height:14px; }
+      .wl-legend .wl-legend-ticks span{ position:absolute; transform:translateX(-50%); white-space:nowrap; color:#374151; }
+      .wl-legend .wl-legend-ticks span:first-child{ transform:none; }
+      .wl-legend .wl-legend-ticks span:last-child{ transform:translateX(-100%); }
+      .wl-legend .wl-legend-note{ color:#6b7280; margin-top:2px; }
+      .wl-legend .wl-legend-warn{ background:#fef3c7; color:#92400e; border-radius:6px; padding:4px 6px; margin:4px 0; }
+      .wl-legend .wl-legend-swatch{ display:flex; align-items:center; gap:6px; margin:2px 0; }
+      .wl-legend .wl-legend-swatch i{ display:inline-block; width:14px; height:10px; border:1px solid rgba(0,0,0,.15); }
+      .wl-legend .wl-legend-scope{ margin-top:6px; padding-top:6px; border-top:1px solid #e5e7eb; line-height:1.35; }
+      .wl-legend .wl-legend-points{ display:flex; align-items:center; gap:6px; margin:6px 0 0 0; font-size:11px; color:#111827; }
+      .wl-legend .wl-legend-points input{ width:auto; margin:0; }
+      @media (max-width: ${MOBILE_BREAKPOINT_PX}px){
+        .wl-legend{ width: 190px; font-size:10px; }
+      }
+    `;
+    document.head.appendChild(injected(st));
+  }
+
+  const legendControl = new LegendControl();
+
+  // What the legend shows for a view, shared by the on-map legend and the report image:
+  // { title, subtitle, gradient: [[offset, color]] | null, ticks: [[offset, label]], swatches: [[color, label]], note, warning }
+  function legendModel(view) {
+    const m = METRICS[state.metric];
+    const model = {
+      title: metricDisplayLabel(), subtitle: "", gradient: null, ticks: [], swatches: [], note: "",
+      warning: view === "heatmap" ? "" : partialTotalsWarning(),
+    };
+    const gaps = demographics.gaps.length;
+    const gapNote = gaps ? `${fmtNum(gaps)} ZIP${gaps === 1 ? "" : "s"} without ${NORMALIZERS[state.normalize].column.toLowerCase()} data left out.` : "";
+
+    if (view === "choropleth") {
+      const b = choro.breaks;
+      if (b.length < 2) return { ...model, title: "", note: gapNote || "No ZIP totals for these filters." };
+      model.subtitle = `per ZIP • ${CLASS_METHODS[state.classMethod]}`;
+      for (let i = 0; i < b.length - 1; i++) {
+        model.swatches.push([CHORO_COLORS[i], `${formatMetricCompact(b[i], state.metric)} – ${formatMetricCompact(b[i + 1], state.metric)}`]);
+      }
+      model.note = gapNote;
+      return model;
+    }
+
+    if (view === "share") {
+      const winners = Array.from(branchShare.winners).sort((a, b) => b[1] - a[1]);
+      if (!branchShare.zips.size) return { ...model, title: "", note: "No ZIP totals for these filters." };
+      const pct = Math.round(CONFIG.branchShare.contestedBelow * 100);
+      return {
+        ...model,
+        title: "Branch share",
+        subtitle: `of ${m.prop ? m.label : "Sales"} per ZIP`,
+        swatches: [
+          ...winners.map(([branch, n]) => [branchColor(branch), `${branch} leads ${fmtNum(n)} ZIP${n === 1 ? "" : "s"}`]),
+          [CONTESTED_COLOR, `Contested (no branch ≥ ${pct}%): ${fmtNum(branchShare.contested)}`],
+        ],
+        note: "Stronger color = bigger lead; size = ZIP total.",
+      };
+    }
+
+    if (view === "compare") {
+      const d = compareStats.maxAbs || 0;
+      return {
+        ...model,
+        title: m.label,
+        subtitle: "change per ZIP",
+        gradient: evenStops(COMPARE_COLORS),
+        ticks: [[0, `−${formatMetricCompact(d, state.metric)}`], [0.5, "0"], [1, `+${formatMetricCompact(d, state.metric)}`]],
+        note: `vs ${formatKeyRange(state.compare.startKey, state.compare.endKey)}${isNormalized() ? " • raw totals" : ""}`,
+      };
+    }
+
+    const ramp = map.getLayer(HEAT_LAYER_ID) ? map.getPaintProperty(HEAT_LAYER_ID, "heatmap-color") : null;
+    const stops = heatScale.current?.stops || m.stops;
+    for (let i = 0; i < stops.length; i += 2) model.ticks.push([stops[i + 1], formatMetricCompact(stops[i], state.metric)]);
+    const scale = heatScale.current
+      ? `${SCALE_MODES[heatScale.current.mode]}${heatScale.current.locked ? " (locked)" : ""}`
+      : SCALE_MODES.fixed;
+    return {
+      ...model,
+      subtitle: `heat • ${scale} scale`,
+      gradient: rampStops(ramp || DEFAULT_HEATMAP_COLOR),
+      note: `Point value → weight; overlapping points add up to hotter colors.${gapNote ? ` ${gapNote}` : ""}`,
+    };
+  }
+
+  function legendScaleHtml(view) {
+    const lg = legendModel(view);
+    const pct = (o) => `${Math.round(o * 100)}%`;
+    let html = lg.warning ? `<div class="wl-legend-warn">⚠ ${escapeHtml(lg.warning)}</div>` : "";
+    html += lg.title ? `<div><b>${lg.title}</b> ${lg.subtitle}</div>` : "";
+    if (lg.gradient) {
+      html += `<div class="wl-legend-bar" style="background:linear-gradient(to right, ${lg.gradient.map(([o, c]) => `${c} ${pct(o)}`).join(", ")})"></div>`;
+      html += `<div class="wl-legend-ticks">${lg.ticks.map(([o, label]) => `<span style="left:${pct(o)}">${label}</span>`).join("")}</div>`;
+    }
+    html += lg.swatches.map(([c, label]) => `<div class="wl-legend-swatch"><i style="background:${c}"></i>${label}</div>`).join("");
+    if (lg.note) html += `<div class="wl-legend-note">${lg.note}</div>`;
+    return html;
+  }
+
+  function updateLegend() {
+    const el = legendControl._el;
+    if (!el) return;
+    const view = activeView();
+
+    el.querySelector(".wl-legend-title").textContent = `Legend • ${view === "compare" || view === "share" ? METRICS[state.metric].label : metricDisplayLabel()}`;
+    el.querySelector(".wl-legend-scale").innerHTML = legendScaleHtml(view);
+
+    const dates = (state.startKey || state.endKey) ? `${state.startKey ?? "…"} → ${state.endKey ?? "…"}` : "Any dates";
+    el.querySelector(".wl-legend-scope").innerHTML =
+      `<div><b>Branch:</b> ${escapeHtml(describeSelection(state.branch, state.branchExclude, "All branches"))}</div>` +
+      `<div><b>Group:</b> ${escapeHtml(describeGroups("All groups"))}</div>` +
+      `<div><b>Dates:</b> ${dates}</div>` +
+      (alertsReadiness().ready
+        ? `<div><b>Alerts:</b> <span style="color:${ALERT_COLORS.up}">▲</span> spike / <span style="color:${ALERT_COLORS.down}">▼</span> drop ` +
+          `beyond ${alertThresholdText()} of the ${state.alerts.weeks}-week baseline</div>`
+        : "");
+
+    const pts = el.querySelector(".wl-legend-points");
+    pts.querySelector("input").checked = state.showPoints;
+    pts.style.display = view === "compare" || view === "share" ? "none" : "";
+  }
+
+  // =========================
+  // Export (CSV / XLSX)
+  // - Rows: every feature matching the current filters, totalled by Zip5 + branch (+ product group)
+  // - Normalized ("Per"): adds the ZIP's demographic count and the metric per unit ("no data" when missing)
+  // - A header block carries the filter summary and export timestamp
+  // - XLSX is written directly (stored zip, inline strings) so there is no extra library to load
+  // - Tiled sources export their data.totals copy; without one the export is refused, since
+  //   loaded tiles would give totals that depend on the camera
+  // =========================
+  function filterSummaryLines() {
+    return [
+      ["Metric", metricDisplayLabel(state.metric, { status: true })],
+      ["Branch", describeSelection(state.branch, state.branchExclude, "All branches", { max: 99 })],
+      ["Product group", describeGroups("All groups", { max: 99 })],
+      ["Dates", (state.startKey || state.endKey) ? `${state.startKey ?? "…"} → ${state.endKey ?? "…"}` : "Any dates"],
+    ];
+  }
+
+  function buildExportTable({ byGroup = false } = {}) {
+    const keys = byGroup ? ["Zip5", "BranchName", "ProductGroupLevel1"] : ["Zip5", "BranchName"];
+    const groups = aggregateBy(filteredSourceFeatures(), keys);
+
+    const columns = [
+      { label: "Zip5", type: "text" },
+      { label: "Branch", type: "text" },
+      ...(byGroup ? [{ label: "Product Group", type: "text" }] : []),
+      { label: "Tickets", type: "int" },
+      { label: "Sales", type: "money" },
+      { label: "Profit", type: "money" },
+      { label: "Margin %", type: "pct" },
+    ];
+    const norm = isNormalized() ? NORMALIZERS[state.normalize] : null;
+    if (norm) {
+      const fmt = METRICS[state.metric].format;
+      columns.push({ label: norm.column, type: "int" }, { label: metricDisplayLabel(), type: fmt === "money" ? "money" : "decimal" });
+    }
+
+    const rows = Array.from(groups.values())
+      .sort((a, b) => b.TotalSales - a.TotalSales)
+      .map((r) => {
+        const row = [
+          ...keys.map((k) => r[k]),
+          r.TicketCount,
+          r.TotalSales,
+          r.TotalProfit,
+          r.TotalSales ? r.TotalProfit / r.TotalSales : 0,
+        ];
+        if (norm) {
+          const count = demographicCount(r.Zip5);
+          row.push(count ?? "no data", count == null ? null : normalizeValue(metricFromTotals(r, state.metric), r.Zip5));
+        }
+        return row;
+      });
+
+    return { columns, rows };
+  }
+
+  function exportTimestamp(d = new Date()) {
+    const p = (n) => String(n).padStart(2, "0");
+    return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())} ${p(d.getHours())}:${p(d.getMinutes())}`;
+  }
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function toCsv({ columns, rows }, header) {
+    const cell = (v) => {
+      const s = v == null ? "" : String(v);
+      return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+    };
+    const fmt = (v, type) => {
+      if (v == null) return "";
+      if (type === "money") return (Number(v) || 0).toFixed(2);
+      if (type === "decimal") return (Number(v) || 0).toFixed(4);
+      if (type === "pct") return ((Number(v) || 0) * 100).toFixed(1);
+      return v;
+    };
+    const lines = header.map(([k, v]) => [k, v].map(cell).join(","));
+    lines.push("");
+    lines.push(columns.map((c) => cell(c.label)).join(","));
+    for (const r of rows) lines.push(r.map((v, i) => cell(fmt(v, columns[i].type))).join(","));
+    // BOM so Excel opens it as UTF-8
+    return "\ufeff" + lines.join("\r\n") + "\r\n";
+  }
+
+  // --- Minimal XLSX writer ---
+  const CRC_TABLE = (() => {
+    const t = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      t[n] = c >>> 0;
+    }
+    return t;
+  })();
+
+  function crc32(bytes) {
+    let c = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    return (c ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  // Uncompressed ("stored") zip archive from [{ name, text }]
+  function buildZip(files) {
+    const enc = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const f of files) {
+      const name = enc.encode(f.name);
+      const data = enc.encode(f.text);
+      const crc = crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true); // UTF-8 names
+      local.setUint16(8, 0, true);      // stored
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+      parts.push(new Uint8Array(local.buffer), name, data);
+
+      const cd = new DataView(new ArrayBuffer(46));
+      cd.setUint32(0, 0x02014b50, true);
+      cd.setUint16(4, 20, true);
+      cd.setUint16(6, 20, true);
+      cd.setUint16(8, 0x0800, true);
+      cd.setUint16(10, 0, true);
+      cd.setUint16(12, dosTime, true);
+      cd.setUint16(14, dosDate, true);
+      cd.setUint32(16, crc, true);
+      cd.setUint32(20, data.length, true);
+      cd.setUint32(24, data.length, true);
+      cd.setUint16(28, name.length, true);
+      cd.setUint32(42, offset, true);
+      central.push(new Uint8Array(cd.buffer), name);
+
+      offset += 30 + name.length + data.length;
+    }
+
+    const cdSize = central.reduce((n, b) => n + b.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, cdSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, new Uint8Array(end.buffer)], { type: "application/zip" });
+  }
+
+  function toXlsx({ columns, rows }, header) {
+    const esc = (s) => String(s ?? "")
+      .replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    const colName = (i) => {
+      let s = "";
+      for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + ((n - 1) % 26)) + s;
+      return s;
+    };
+    // Style ids from styles.xml below: 1 bold, 2 #,##0, 3 #,##0.00, 4 0.0%, 5 #,##0.0000
+    const typeStyle = { int: 2, money: 3, pct: 4, decimal: 5 };
+
+    const xmlRows = [];
+    const addRow = (cells, style) => {
+      const r = xmlRows.length + 1;
+      const xs = cells.map((v, i) => {
+        const ref = `${colName(i)}${r}`;
+        const s = style ?? (typeof v === "number" ? (typeStyle[columns[i]?.type] || 0) : 0);
+        const sAttr = s ? ` s="${s}"` : "";
+        if (typeof v === "number" && isFinite(v)) return `<c r="${ref}"${sAttr}><v>${v}</v></c>`;
+        return `<c r="${ref}" t="inlineStr"${sAttr}><is><t>${esc(v)}</t></is></c>`;
+      });
+      xmlRows.push(`<row r="${r}">${xs.join("")}</row>`);
+    };
+
+    for (const [k, v] of header) addRow([k, v]);
+    addRow([]);
+    addRow(columns.map((c) => c.label), 1);
+    for (const r of rows) addRow(r);
+
+    const sheet =
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+      `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+      `<sheetData>${xmlRows.join("")}</sheetData></worksheet>`;
+
+    const styles =
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+      `<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+      `<numFmts count="2"><numFmt numFmtId="164" formatCode="0.0%"/><numFmt numFmtId="165" formatCode="#,##0.0000"/></numFmts>` +
+      `<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>` +
+      `<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>` +
+      `<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>` +
+      `<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>` +
+      `<cellXfs count="6">` +
+      `<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>` +
+      `<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>` +
+      `<xf numFmtId="3" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>` +
+      `<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>` +
+      `<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>` +
+      `<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>` +
+      `</cellXfs></styleSheet>`;
+
+    return buildZip([
+      {
+        name: "[Content_Types].xml",
+        text: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+          `<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+          `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+          `<Default Extension="xml" ContentType="application/xml"/>` +
+          `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>` +
+          `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>` +
+          `<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>` +
+          `</Types>`,
+      },
+      {
+        name: "_rels/.rels",
+        text: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+          `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+          `<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>` +
+          `</Relationships>`,
+      },
+      {
+        name: "xl/workbook.xml",
+        text: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+          `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">` +
+          `<sheets><sheet name="Zip Sales" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+      },
+      {
+        name: "xl/_rels/workbook.xml.rels",
+        text: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>` +
+          `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+          `<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>` +
+          `<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+          `</Relationships>`,
+      },
+      { name: "xl/styles.xml", text: styles },
+      { name: "xl/worksheets/sheet1.xml", text: sheet },
+    ]);
+  }
+
+  // { filename, mimeType, content (string | Uint8Array), rows } — downloaded by exportData(),
+  // or posted to the host page by the embed "export" command. Callers check hasCompleteData().
+  function buildExportFile(format = "csv", { byGroup = false } = {}) {
+    const table = buildExportTable({ byGroup });
+    const now = new Date();
+    const header = [
+      ["Report", CONFIG.title],
+      ["Exported", exportTimestamp(now)],
+      ...filterSummaryLines(),
+      ["Source", dataStore.label],
+      ...(isNormalized() ? [["Demographics", `${CONFIG.urls.demographics}${demographics.gaps.length ? ` (${demographics.gaps.length} ZIPs with sales have no figure: "no data")` : ""}`]] : []),
+      ["Rows", String(table.rows.length)],
+    ];
+
+    const stamp = exportTimestamp(now).replace(/[-: ]/g, "").slice(0, 12);
+    const base = `wl-zip-sales-${stamp}`;
+
+    if (format === "xlsx") {
+      return {
+        filename: `${base}.xlsx`,
+        mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        content: toXlsx(table, header),
+        rows: table.rows.length,
+      };
+    }
+    return { filename: `${base}.csv`, mimeType: "text/csv;charset=utf-8", content: toCsv(table, header), rows: table.rows.length };
+  }
+
+  // Returns the row count, or null when there is no complete data to export
+  function exportData(format = "csv", { byGroup = !!els.exportByGroup?.checked } = {}) {
+    if (!hasCompleteData()) {
+      setStatus(incompleteDataNote("Export"));
+      return null;
+    }
+    const file = buildExportFile(format, { byGroup });
+    downloadBlob(new Blob([file.content], { type: file.mimeType }), file.filename);
+
+    log(`Exported ${file.rows} rows as ${format.toUpperCase()}`);
+    setStatus(`Exported ${file.rows} rows (${format.toUpperCase()}).`);
+    return file.rows;
+  }
+
+  // =========================
+  // Report export (PNG image / printed page)
+  // - The map canvas with its legend, under the title, the filter summary (same lines as the
+  //   CSV/XLSX header) and a generated timestamp; the last applyFilters() status goes underneath
+  // - The map is copied during a render, so the map doesn't need preserveDrawingBuffer
+  // - Print adds the top-ZIP table (leaderboard sort order) and prints a letter page, landscape
+  //   or portrait, from a hidden iframe (popups are blocked in the BisTrack dashboard)
+  // =========================
+  const REPORT_FONT = "system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+  const lastApplied = { status: "" }; // set by applyFilters()
+
+  // Copy of the map canvas, taken while the frame's drawing buffer is still valid
+  function snapshotMapCanvas() {
+    return new Promise((resolve, reject) => {
+      map.once("render", () => {
+        try {
+          const src = map.getCanvas();
+          const copy = document.createElement("canvas");
+          copy.width = src.width;
+          copy.height = src.height;
+          copy.getContext("2d").drawImage(src, 0, 0);
+          resolve(copy);
+        } catch (e) {
+          reject(e);
+        }
+      });
+      map.triggerRepaint();
+    });
+  }
+
+  function wrapText(ctx, text, maxWidth) {
+    const lines = [];
+    let line = "";
+    for (const word of String(text || "").split(/\s+/).filter(Boolean)) {
+      const next = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(next).width > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = next;
+      }
+    }
+    if (line) lines.push(line);
+    return lines;
+  }
+
+  // Legend box anchored at its lower-left corner (CSS pixels; the context is already scaled)
+  function drawReportLegend(ctx, x, bottom) {
+    const lg = legendModel(activeView());
+    const w = 240;
+    const pad = 10;
+    const inner = w - pad * 2;
+
+    ctx.font = `11px ${REPORT_FONT}`;
+    const noteLines = wrapText(ctx, lg.note, inner);
+    const warnLines = wrapText(ctx, lg.warning ? `⚠ ${lg.warning}` : "", inner);
+    const h = pad * 2 + warnLines.length * 14 + (lg.title ? 18 : 0) + (lg.gradient ? 32 : 0) + lg.swatches.length * 16 + noteLines.length * 14;
+    let y = bottom - h;
+
+    ctx.fillStyle = "rgba(255,255,255,0.92)";
+    ctx.fillRect(x, y, w, h);
+    ctx.strokeStyle = "rgba(0,0,0,0.15)";
+    ctx.strokeRect(x + 0.5, y + 0.5, w - 1, h - 1);
+    x += pad;
+    y += pad;
+    ctx.textBaseline = "top";
+
+    ctx.fillStyle = "#92400e";
+    for (const line of warnLines) {
+      ctx.fillText(line, x, y);
+      y += 14;
+    }
+
+    if (lg.title) {
+      ctx.fillStyle = "#111827";
+      ctx.font = `bold 12px ${REPORT_FONT}`;
+      ctx.fillText(lg.title, x, y);
+      const titleW = ctx.measureText(`${lg.title} `).width;
+      ctx.font = `12px ${REPORT_FONT}`;
+      ctx.fillText(lg.subtitle, x + titleW, y);
+      y += 18;
+    }
+
+    if (lg.gradient) {
+      const grad = ctx.createLinearGradient(x, 0, x + inner, 0);
+      for (const [o, c] of lg.gradient) grad.addColorStop(Math.min(1, Math.max(0, o)), c);
+      ctx.fillStyle = grad;
+      ctx.fillRect(x, y + 2, inner, 10);
+      ctx.font = `10px ${REPORT_FONT}`;
+      ctx.fillStyle = "#374151";
+      lg.ticks.forEach(([o, label], i) => {
+        ctx.textAlign = i === 0 ? "left" : (i === lg.ticks.length - 1 ? "right" : "center");
+        ctx.fillText(label, x + inner * o, y + 16);
+      });
+      ctx.textAlign = "left";
+      y += 32;
+    }
+
+    ctx.font = `11px ${REPORT_FONT}`;
+    for (const [color, label] of lg.swatches) {
+      ctx.fillStyle = color;
+      ctx.fillRect(x, y + 2, 14, 10);
+      ctx.fillStyle = "#111827";
+      ctx.fillText(label, x + 20, y + 1);
+      y += 16;
+    }
+
+    ctx.fillStyle = "#6b7280";
+    for (const line of noteLines) {
+      ctx.fillText(line, x, y);
+      y += 14;
+    }
+  }
+
+  async function renderReportImage() {
+    const mapCanvas = await snapshotMapCanvas();
+    const scale = mapCanvas.width / (map.getCanvas().clientWidth || mapCanvas.width);
+    const width = mapCanvas.width / scale;
+    const mapHeight = mapCanvas.height / scale;
+    const textW = width - 32;
+
+    const ctx0 = document.createElement("canvas").getContext("2d");
+    ctx0.font = `12px ${REPORT_FONT}`;
+    const summaryLines = wrapText(ctx0, filterSummaryLines().map(([k, v]) => `${k}: ${v}`).join(" • "), textW);
+    const statusLines = wrapText(ctx0, lastApplied.status, textW);
+    const headerH = 48 + summaryLines.length * 17 + 8;
+    const footerH = 10 + statusLines.length * 16 + 24;
+
+    const out = document.createElement("canvas");
+    out.width = Math.round(width * scale);
+    out.height = Math.round((headerH + mapHeight + footerH) * scale);
+    const ctx = out.getContext("2d");
+    ctx.scale(scale, scale);
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, width, headerH + mapHeight + footerH);
+    ctx.textBaseline = "top";
+
+    ctx.fillStyle = "#111827";
+    ctx.font = `bold 20px ${REPORT_FONT}`;
+    ctx.fillText(CONFIG.title, 16, 14);
+    ctx.fillStyle = "#6b7280";
+    ctx.font = `12px ${REPORT_FONT}`;
+    ctx.textAlign = "right";
+    ctx.fillText(`Generated ${exportTimestamp()}`, width - 16, 20);
+    ctx.textAlign = "left";
+    ctx.fillStyle = "#374151";
+    summaryLines.forEach((line, i) => ctx.fillText(line, 16, 48 + i * 17));
+
+    ctx.drawImage(mapCanvas, 0, headerH, width, mapHeight);
+    drawReportLegend(ctx, 12, headerH + mapHeight - 12);
+    ctx.fillStyle = "rgba(0,0,0,0.6)";
+    ctx.font = `10px ${REPORT_FONT}`;
+    ctx.textAlign = "right";
+    ctx.fillText("© Mapbox © OpenStreetMap", width - 8, headerH + mapHeight - 16);
+    ctx.textAlign = "left";
+
+    let y = headerH + mapHeight + 10;
+    ctx.fillStyle = "#374151";
+    for (const line of statusLines) {
+      ctx.fillText(line, 16, y);
+      y += 16;
+    }
+    ctx.fillStyle = "#6b7280";
+    ctx.fillText(`Source: ${dataStore.label || "—"}`, 16, y + 4);
+    return out;
+  }
+
+  const reportFileName = (ext) => `wl-zip-report-${exportTimestamp().replace(/[-: ]/g, "").slice(0, 12)}.${ext}`;
+
+  async function exportReportImage() {
+    try {
+      setStatus("Rendering report image…");
+      const canvas = await renderReportImage();
+      const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+      if (!blob) throw new Error("the browser could not encode the image");
+      downloadBlob(blob, reportFileName("png"));
+      log("Exported report image");
+      setStatus("Exported report image (PNG).");
+    } catch (e) {
+      console.warn(LOG_PREFIX, "Report image failed:", e);
+      setStatus(`Report image failed: ${e.message || e}`);
+    }
+  }
+
+  function reportPrintHtml(imageUrl, orientation) {
+    const rows = leaderboardRows();
+    const top = topLeaderboardRows(rows);
+    const columns = leaderboardColumns();
+    const head = columns.map((c) => `<th class="${c.num ? "num" : ""}">${c.label}</th>`).join("");
+    const body = top.length
+      ? top.map((r) => `<tr>${columns.map((c) => `<td class="${c.num ? "num" : ""}">${c.fmt ? c.fmt(r[c.key]) : escapeHtml(r[c.key])}</td>`).join("")}</tr>`).join("")
+      : `<tr><td colspan="${columns.length}">No ZIPs match the current filters${!hasCompleteData() ? " in the loaded tiles" : ""}.</td></tr>`;
+
+    return `<!doctype html>
+      <html><head><meta charset="utf-8" /><title>${escapeHtml(CONFIG.title)}</title>
+      <style>
+        @page{ size: letter ${orientation}; margin: 0.4in; }
+        body{ margin:0; font-family:${REPORT_FONT}; color:#111827; }
+        img{ display:block; max-width:100%; max-height:${orientation === "portrait" ? "5.6in" : "5.3in"}; margin:0 auto; }
+        h2{ font-size:11pt; margin:12px 0 6px 0; }
+        table{ width:100%; border-collapse:collapse; font-size:8.5pt; }
+        thead{ display:table-header-group; }
+        th{ text-align:left; background:#f3f4f6; border-bottom:1px solid #d1d5db; padding:3px 4px; }
+        td{ padding:3px 4px; border-bottom:1px solid #e5e7eb; }
+        tr{ break-inside:avoid; }
+        .num{ text-align:right; }
+      </style></head>
+      <body>
+        <img src="${imageUrl}" alt="Map report" />
+        <h2>${escapeHtml(leaderboardTitle(rows))}</h2>
+        ${partialTotalsWarning() ? `<p style="color:#92400e; font-size:9pt; margin:0 0 6px 0;">⚠ ${escapeHtml(partialTotalsWarning())}</p>` : ""}
+        <table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>
+      </body></html>`;
+  }
+
+  async function printReport(orientation = els.reportOrientation?.value || "landscape") {
+    try {
+      setStatus("Preparing report…");
+      const canvas = await renderReportImage();
+      document.getElementById("wlReportFrame")?.remove();
+
+      const frame = document.createElement("iframe");
+      frame.id = "wlReportFrame";
+      frame.setAttribute("aria-hidden", "true");
+      frame.style.cssText = "position:fixed; right:0; bottom:0; width:0; height:0; border:0;";
+      frame.addEventListener("load", () => {
+        const win = frame.contentWindow;
+        win.addEventListener("afterprint", () => frame.remove(), { once: true });
+        win.focus();
+        win.print();
+      }, { once: true });
+      frame.srcdoc = reportPrintHtml(canvas.toDataURL("image/png"), orientation === "portrait" ? "portrait" : "landscape");
+      document.body.appendChild(injected(frame));
+
+      log("Printing report");
+      setStatus(lastApplied.status);
+    } catch (e) {
+      console.warn(LOG_PREFIX, "Print report failed:", e);
+      setStatus(`Print report failed: ${e.message || e}`);
+    }
+  }
+
+  // =========================
+  // ZIP detail panel (shared by point/ZIP clicks and the leaderboard)
+  // - Totals cover every record for the ZIP that matches the filters, not just what's rendered
+  // - Tiled sources need data.totals: loaded tiles can hold only part of a ZIP, so without the
+  //   complete copy the panel says why instead of showing totals (see incompleteDataNote)
+  // - Trend sparkline (weekly, or monthly for ranges over ~4 months), every product group,
+  //   and a per-branch split unless a single branch is selected
+  // - With alerts on, the trend starts at the baseline (dashed line = Start) and the ZIP's
+  //   alert, if any, heads the panel
+  // =========================
+  const zipDetail = {
+    zip: null,
+    branch: null,     // clicked branch, highlighted in the split
+    records: new Map(),
+    el: null,
+  };
+
+  class ZipDetailControl {
+    onAdd() {
+      ensureZipDetailStyle();
+      const el = document.createElement("div");
+      el.className = "mapboxgl-ctrl wl-zip-detail";
+      el.hidden = true;
+      el.addEventListener("click", (e) => {
+        if (e.target.closest(".wl-zd-close")) closeZipDetail();
+      });
+      zipDetail.el = el;
+      return el;
+    }
+
+    onRemove() {
+      zipDetail.el?.remove();
+      zipDetail.el = null;
+    }
+  }
+
+  function ensureZipDetailStyle() {
+    if (document.getElementById("wlZipDetailStyle")) return;
+    const st = document.createElement("style");
+    st.id = "wlZipDetailStyle";
+    st.textContent = `
+      .wl-zip-detail{
+        background: rgba(255,255,255,.97);
+        border-radius: 10px;
+        box-shadow: 0 6px 18px rgba(0,0,0,.15);
+        padding: 10px 12px;
+        width: 280px;
+        max-height: calc(100vh - 160px);
+        overflow: auto;
+        font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;
+        font-size: 12px;
+        color: #111827;
+      }
+      .wl-zip-detail .wl-zd-head{ display:flex; justify-content:space-between; align-items:flex-start; gap:8px; }
+      .wl-zip-detail .wl-zd-title{ font-weight:700; font-size:14px; }
+      .wl-zip-detail .wl-zd-close{
+        all: unset;
+        cursor:pointer;
+        font-size:16px;
+        line-height:1;
+        color:#6b7280;
+        -webkit-text-fill-color:#6b7280;
+      }
+      .wl-zip-detail .wl-zd-sub{ color:#4b5563; margin:2px 0 8px 0; }
+      .wl-zip-detail .wl-zd-kpis{ display:grid; grid-template-columns:1fr 1fr; gap:6px; }
+      .wl-zip-detail .wl-zd-per{ margin-top:6px; padding-top:6px; border-top:1px solid #f3f4f6; }
+      .wl-zip-detail .wl-zd-section{ margin-top:10px; font-weight:700; color:#374151; }
+      .wl-zip-detail svg{ display:block; width:100%; height:44px; margin-top:4px; }
+      .wl-zip-detail .wl-zd-spark-axis{ display:flex; justify-content:space-between; color:#6b7280; font-size:10px; }
+      .wl-zip-detail table{ width:100%; border-collapse:collapse; margin-top:4px; font-size:11px; }
+      .wl-zip-detail td{ padding:2px 4px; border-bottom:1px solid #f3f4f6; text-align:right; white-space:nowrap; }
+      .wl-zip-detail td:first-child{ text-align:left; white-space:normal; }
+      .wl-zip-detail tr.is-clicked td{ background:#eef2ff; }
+      .wl-zip-detail .wl-zd-note{ margin-top:8px; font-size:11px; color:#6b7280; }
+      .wl-zip-detail .wl-zd-alert{ margin:0 0 8px; padding:6px 8px; border-radius:8px; background:#f3f4f6; color:#374151; }
+      .wl-zip-detail .wl-zd-alert.is-up{ background:#f0fdf4; color:${ALERT_COLORS.up}; }
+      .wl-zip-detail .wl-zd-alert.is-down{ background:#fef2f2; color:${ALERT_COLORS.down}; }
+      @media (max-width: ${MOBILE_BREAKPOINT_PX}px){
+        .wl-zip-detail{ width: 220px; max-height: 45vh; font-size:11px; }
+      }
+    `;
+    document.head.appendChild(injected(st));
+  }
+
+  const zipDetailControl = new ZipDetailControl();
+
+  // Pull the ZIP's records into zipDetail.records; empty without complete data
+  function collectZipRecords(zip) {
+    zipDetail.records = new Map();
+    if (!hasCompleteData()) return;
+    dataStore.features.forEach((f, i) => {
+      if (normZip(f.properties.Zip5) === zip) zipDetail.records.set(i, f);
+    });
+  }
+
+  // Filtered metric per week/month across the date range (or the ZIP's own date span);
+  // alerts pass their baseline start as `startKey`
+  function zipTrend(records, startKey = state.startKey) {
+    let endKey = state.endKey;
+    if (!startKey || !endKey) {
+      const keys = records.map((f) => featureDateKey(f.properties)).filter((k) => k != null);
+      if (!keys.length) return null;
+      startKey = startKey || Math.min(...keys);
+      endKey = endKey || Math.max(...keys);
+    }
+
+    const span = (keyToDate(endKey) - keyToDate(startKey)) / (24 * 60 * 60 * 1000);
+    const step = span > 120 ? "month" : "week";
+    const windows = buildTimeWindows(startKey, endKey, step);
+    if (windows.length < 2) return null;
+
+    const buckets = windows.map(() => {
+      const t = {};
+      for (const sp of SUM_PROPS) t[sp] = 0;
+      return t;
+    });
+    for (const f of records) {
+      const k = featureDateKey(f.properties);
+      if (k == null) continue;
+      const i = windows.findIndex((w) => k >= w.startKey && k <= w.endKey);
+      if (i < 0) continue;
+      for (const sp of SUM_PROPS) buckets[i][sp] += Number(f.properties[sp]) || 0;
+    }
+    return { step, windows, values: buckets.map((t) => metricFromTotals(t, state.metric)) };
+  }
+
+  // `markIndex` (optional) draws a dashed line where that window starts
+  function sparklineSvg(values, markIndex = null) {
+    const w = 256;
+    const h = 44;
+    const pad = 3;
+    const min = Math.min(0, ...values);
+    const max = Math.max(...values);
+    const range = (max - min) || 1;
+    const pts = values.map((v, i) => {
+      const x = pad + (i * (w - pad * 2)) / (values.length - 1);
+      const y = h - pad - ((v - min) * (h - pad * 2)) / range;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+    const markX = markIndex > 0 ? (pad + (markIndex * (w - pad * 2)) / (values.length - 1)).toFixed(1) : null;
+    return `
+      <svg viewBox="0 0 ${w} ${h}" preserveAspectRatio="none" aria-hidden="true">
+        <polygon points="${pad},${h - pad} ${pts.join(" ")} ${w - pad},${h - pad}" fill="rgba(37,99,235,.12)" />
+        <polyline points="${pts.join(" ")}" fill="none" stroke="#2563eb" stroke-width="1.5" />
+        ${markX ? `<line x1="${markX}" y1="0" x2="${markX}" y2="${h}" stroke="#6b7280" stroke-width="1" stroke-dasharray="3 2" />` : ""}
+      </svg>
+    `;
+  }
+
+  function renderZipDetail() {
+    const el = zipDetail.el;
+    if (!el || !zipDetail.zip) return;
+
+    const head = `
+      <div class="wl-zd-head">
+        <div class="wl-zd-title">ZIP ${escapeHtml(zipDetail.zip)}</div>
+        <button type="button" class="wl-zd-close" aria-label="Close">✕</button>
+      </div>
+    `;
+    if (!hasCompleteData()) {
+      el.innerHTML = `${head}<div class="wl-zd-note">${escapeHtml(incompleteDataNote("The ZIP detail"))}</div>`;
+      el.hidden = false;
+      return;
+    }
+
+    const records = Array.from(zipDetail.records.values()).filter((f) => featureMatchesFilters(f.properties));
+    const total = { records: records.length };
+    for (const sp of SUM_PROPS) total[sp] = records.reduce((acc, f) => acc + (Number(f.properties[sp]) || 0), 0);
+
+    const groupLevel = groupBreakdownLevel();
+    const showBranches = !(state.branch.size === 1 && !state.branchExclude);
+    const bySales = (a, b) => b.TotalSales - a.TotalSales;
+    const groups = groupLevel ? Array.from(aggregateBy(records, [groupLevel.field]).values()).sort(bySales) : [];
+    const branches = showBranches ? Array.from(aggregateBy(records, ["BranchName"]).values()).sort(bySales) : [];
+    const alertsOn = alertsReadiness().ready;
+    const trendFrom = alertsOn ? alertBaselineRange().startKey : state.startKey;
+    const trend = zipTrend(alertsOn
+      ? Array.from(zipDetail.records.values()).filter((f) => featureMatchesFilters(f.properties, { startKey: trendFrom }))
+      : records, trendFrom);
+    const trendMark = alertsOn && trend ? trend.windows.findIndex((w) => w.endKey >= state.startKey) : null;
+
+    const rowsHtml = (rows, keyProp, highlight) => rows.map((r) => `
+      <tr class="${highlight != null && r[keyProp] === highlight ? "is-clicked" : ""}">
+        <td>${escapeHtml(r[keyProp])}</td>
+        <td>${fmtMoney(r.TotalSales)}</td>
+        <td>${total.TotalSales ? fmtPct(r.TotalSales / total.TotalSales) : "—"}</td>
+      </tr>
+    `).join("");
+
+    // Raw KPIs above; the per-unit value (or why there isn't one) under them
+    const norm = isNormalized() ? NORMALIZERS[state.normalize] : null;
+    const count = norm ? demographicCount(zipDetail.zip) : null;
+    const perHtml = !norm ? "" : count == null
+      ? `<div class="wl-zd-note">No ${norm.column.toLowerCase()} figure for this ZIP in ${escapeHtml(CONFIG.urls.demographics)}, so there is no ${norm.unit} value.</div>`
+      : `<div class="wl-zd-kpis wl-zd-per">
+          <div><b>${escapeHtml(metricDisplayLabel())}</b><br>${formatMetric(normalizeValue(metricFromTotals(total, state.metric), zipDetail.zip), state.metric)}</div>
+          <div><b>${norm.column}</b><br>${fmtNum(count)}</div>
+        </div>`;
+
+    const alertLine = (() => {
+      if (!alertsOn) return "";
+      const a = alerts.byZip.get(zipDetail.zip);
+      const base = `${state.alerts.weeks}-week baseline`;
+      if (!a) return `<div class="wl-zd-alert">No alert: within ${alertThresholdText()} of its ${base} (or too little history).</div>`;
+      return `
+        <div class="wl-zd-alert is-${a.dir}">
+          <b>${a.dir === "up" ? "▲ Spike" : "▼ Drop"}: ${escapeHtml(alertChangeText(a))}</b> vs its ${base}<br>
+          ${escapeHtml(alertValueText(a.current))} now vs ${escapeHtml(alertValueText(a.baseline))}${a.driver ? ` • mostly ${escapeHtml(a.driver)}` : ""}
+        </div>`;
+    })();
+
+    // A drop to nothing still shows the baseline trend (see the empty branch below)
+    const trendHtml = !trend ? "" : `
+      <div class="wl-zd-section">${escapeHtml(METRICS[state.metric].label)} by ${trend.step}${alertsOn ? ` (${state.alerts.weeks}-week baseline, then the selected range)` : ""}</div>
+      ${sparklineSvg(trend.values, trendMark)}
+      <div class="wl-zd-spark-axis">
+        <span>${escapeHtml(formatMDY(keyToDate(trend.windows[0].startKey)))}</span>
+        <span>peak ${escapeHtml(formatMetricCompact(Math.max(...trend.values), state.metric))}</span>
+        <span>${escapeHtml(formatMDY(keyToDate(trend.windows[trend.windows.length - 1].endKey)))}</span>
+      </div>
+    `;
+
+    const choroLine = (() => {
+      if (activeView() !== "choropleth") return "";
+      const v = choro.values.get(zipDetail.zip);
+      const cls = v == null ? null : classIndex(v, choro.breaks);
+      return cls == null ? "" : `<div class="wl-zd-note">Choropleth class ${cls + 1} of ${choro.breaks.length - 1}</div>`;
+    })();
+
+    el.innerHTML = `
+      ${head}
+      <div class="wl-zd-sub">
+        ${escapeHtml(describeSelection(state.branch, state.branchExclude, "All branches"))} •
+        ${escapeHtml(describeGroups("All groups"))}<br>
+        ${state.startKey || state.endKey
+          ? `${state.startKey ? formatMDY(keyToDate(state.startKey)) : "…"} → ${state.endKey ? formatMDY(keyToDate(state.endKey)) : "…"}`
+          : "All dates"}
+      </div>
+      ${alertLine}
+      ${records.length ? `
+        <div class="wl-zd-kpis">
+          <div><b>Tickets</b><br>${fmtNum(total.TicketCount)}</div>
+          <div><b>Sales</b><br>${fmtMoney(total.TotalSales)}</div>
+          <div><b>Profit</b><br>${fmtMoney(total.TotalProfit)}</div>
+          <div><b>Margin</b><br>${total.TotalSales ? fmtPct(total.TotalProfit / total.TotalSales) : "—"}</div>
+          <div><b>Avg ticket</b><br>${total.TicketCount ? fmtMoney(total.TotalSales / total.TicketCount) : "—"}</div>
+        </div>
+        ${perHtml}
+        ${trendHtml}
+        ${branches.length ? `
+          <div class="wl-zd-section">By branch</div>
+          <table><tbody>${rowsHtml(branches, "BranchName", zipDetail.branch)}</tbody></table>
+        ` : ""}
+        ${groups.length ? `
+          <div class="wl-zd-section">By ${escapeHtml(groupLevel.label.toLowerCase())}</div>
+          <table><tbody>${rowsHtml(groups, groupLevel.field)}</tbody></table>
+        ` : ""}
+      ` : `<div class="wl-zd-note">No sales for this ZIP with the current filters.</div>${alertsOn ? trendHtml : ""}`}
+      ${choroLine}
+    `;
+    el.hidden = false;
+  }
+
+  // `branch` (optional) is the clicked point's branch, highlighted in the per-branch split
+  function openZipDetail(zip, branch = null) {
+    const z = normZip(zip);
+    if (!z) return;
+    zipDetail.zip = z;
+    zipDetail.branch = branch == null ? null : String(branch);
+    collectZipRecords(z);
+    renderZipDetail();
+  }
+
+  function closeZipDetail() {
+    zipDetail.zip = null;
+    zipDetail.branch = null;
+    zipDetail.records = new Map();
+    if (zipDetail.el) zipDetail.el.hidden = true;
+  }
+
+  // Called after filter changes (records are fixed per ZIP; only the filters move)
+  function refreshZipDetail() {
+    if (!zipDetail.zip) return;
+    renderZipDetail();
+  }
+
+  // =========================
+  // ZIP leaderboard (sidebar)
+  // - Top Zip5/branch pairs for the current filters, recomputed by applyFilters()
+  // - Row click flies to the ZIP and opens the same popup as a point click
+  // - Hovering a point on the map highlights its row
+  // - Tiled data without data.totals only ranks the loaded tiles; the panel says so
+  // =========================
+  const LEADERBOARD_LIMIT = 25;
+  const LEADERBOARD_COLUMNS = [
+    { key: "Zip5", label: "ZIP" },
+    { key: "BranchName", label: "Branch" },
+    { key: "TicketCount", label: "Tickets", num: true, fmt: (v) => fmtNum(v) },
+    { key: "TotalSales", label: "Sales", num: true, fmt: (v) => fmtCompactMoney(v) },
+    { key: "TotalProfit", label: "Profit", num: true, fmt: (v) => fmtCompactMoney(v) },
+    { key: "margin", label: "Margin", num: true, fmt: (v) => fmtPct(v) },
+    { key: "share", label: "Share", num: true, fmt: (v) => fmtPct(v) },
+  ];
+
+  // Plus the active metric per resident / household / unit while normalized ("n/a" = no demographic figure)
+  function leaderboardColumns() {
+    if (!isNormalized()) return LEADERBOARD_COLUMNS;
+    return [...LEADERBOARD_COLUMNS, {
+      key: "perUnit",
+      label: NORMALIZERS[state.normalize].short,
+      num: true,
+      fmt: (v) => (v == null ? "n/a" : formatMetricCompact(v, state.metric)),
+    }];
+  }
+
+  const leaderboard = {
+    rows: [],
+    sortKey: "TotalSales",
+    sortDir: -1,
+    hoverKey: null,
+    el: null,
+  };
+
+  const leaderKey = (zip, branch) => `${zip}|${branch}`;
+
+  // Share uses the active metric when it adds up (sales/tickets/profit), otherwise sales
+  function shareProp() {
+    return METRICS[state.metric]?.prop || "TotalSales";
+  }
+
+  function ensureLeaderboardPanel() {
+    if (leaderboard.el) return leaderboard.el;
+    const anchor = els.status;
+    if (!anchor) return null;
+
+    if (!document.getElementById("wlLeaderboardStyle")) {
+      const st = document.createElement("style");
+      st.id = "wlLeaderboardStyle";
+      st.textContent = `
+        #wlLeaderboard{ margin-top:14px; }
+        #wlLeaderboard .wl-lb-title{ font-size:12px; font-weight:700; color:#374151; margin-bottom:6px; }
+        #wlLeaderboard .wl-lb-wrap{ max-height:340px; overflow:auto; border:1px solid #e5e7eb; border-radius:8px; }
+        #wlLeaderboard table{ width:100%; border-collapse:collapse; font-size:11px; color:#111827; }
+        #wlLeaderboard th{
+          position:sticky; top:0; background:#f9fafb; text-align:left;
+          padding:5px 4px; cursor:pointer; white-space:nowrap; user-select:none;
+          border-bottom:1px solid #e5e7eb;
+        }
+        #wlLeaderboard th.num, #wlLeaderboard td.num{ text-align:right; }
+        #wlLeaderboard td{ padding:4px; border-bottom:1px solid #f3f4f6; white-space:nowrap; }
+        #wlLeaderboard tbody tr{ cursor:pointer; }
+        #wlLeaderboard tbody tr:hover{ background:#f3f4f6; }
+        #wlLeaderboard tbody tr.is-hover{ background:#fef3c7; }
+        #wlLeaderboard .wl-lb-empty{ padding:8px; font-size:12px; color:#6b7280; }
+        #wlLeaderboard .wl-lb-warn{ background:#fef3c7; color:#92400e; border-radius:6px; padding:4px 6px; margin-bottom:6px; font-size:11px; }
+      `;
+      document.head.appendChild(injected(st));
+    }
+
+    const box = document.createElement("div");
+    box.id = "wlLeaderboard";
+    box.innerHTML = `
+      <div class="wl-lb-title">Top ZIPs</div>
+      <div class="wl-lb-warn" hidden></div>
+      <div class="wl-lb-wrap"><table><thead></thead><tbody></tbody></table></div>
+    `;
+    anchor.insertAdjacentElement("afterend", injected(box));
+
+    box.querySelector("thead").addEventListener("click", (e) => {
+      const th = e.target.closest("th[data-key]");
+      if (!th) return;
+      const key = th.dataset.key;
+      leaderboard.sortDir = (leaderboard.sortKey === key) ? -leaderboard.sortDir : (key === "Zip5" || key === "BranchName" ? 1 : -1);
+      leaderboard.sortKey = key;
+      renderLeaderboardTable();
+    });
+
+    box.querySelector("tbody").addEventListener("click", (e) => {
+      const tr = e.target.closest("tr[data-key]");
+      if (!tr) return;
+      const row = leaderboard.rows.find((r) => r.key === tr.dataset.key);
+      if (row) focusZip(row.Zip5, row.BranchName, row.coordinates);
+    });
+
+    leaderboard.el = box;
+    return box;
+  }
+
+  // ZIP + branch totals for the current filters (also used by the printed report)
+  function leaderboardRows() {
+    const groups = aggregateBy(filteredSourceFeatures(), ["Zip5", "BranchName"]);
+    const sp = shareProp();
+    let total = 0;
+    for (const r of groups.values()) total += r[sp] || 0;
+
+    return Array.from(groups.values()).map((r) => ({
+      ...r,
+      key: leaderKey(r.Zip5, r.BranchName),
+      margin: r.TotalSales ? r.TotalProfit / r.TotalSales : 0,
+      share: total ? (r[sp] || 0) / total : 0,
+      perUnit: isNormalized() ? normalizeValue(metricFromTotals(r, state.metric), r.Zip5) : null,
+    }));
+  }
+
+  // Top LEADERBOARD_LIMIT rows in the table's current sort order
+  function topLeaderboardRows(rows) {
+    const { sortKey, sortDir } = leaderboard;
+    return rows.slice().sort((a, b) => {
+      const av = a[sortKey];
+      const bv = b[sortKey];
+      if (av == null || bv == null) return (av == null) - (bv == null); // n/a last either way
+      if (typeof av === "number" && typeof bv === "number") return (av - bv) * sortDir;
+      return String(av).localeCompare(String(bv)) * sortDir;
+    }).slice(0, LEADERBOARD_LIMIT);
+  }
+
+  function leaderboardTitle(rows) {
+    const shareLabel = METRICS[state.metric]?.prop ? METRICS[state.metric].label : "Sales";
+    const scope = hasCompleteData() ? "Top ZIPs" : "Top ZIPs in the loaded map tiles";
+    return `${scope} (${Math.min(LEADERBOARD_LIMIT, rows.length)} of ${rows.length}) • share of ${shareLabel}`;
+  }
+
+  function updateLeaderboard() {
+    if (!ensureLeaderboardPanel()) return;
+    if (!leaderboardColumns().some((c) => c.key === leaderboard.sortKey)) {
+      leaderboard.sortKey = "TotalSales";
+      leaderboard.sortDir = -1;
+    }
+    leaderboard.rows = leaderboardRows();
+    renderLeaderboardTable();
+  }
+
+  function renderLeaderboardTable() {
+    const box = leaderboard.el;
+    if (!box) return;
+    const { sortKey, sortDir } = leaderboard;
+
+    const sorted = topLeaderboardRows(leaderboard.rows);
+    box.querySelector(".wl-lb-title").textContent = leaderboardTitle(leaderboard.rows);
+    const warn = box.querySelector(".wl-lb-warn");
+    warn.textContent = partialTotalsWarning() ? `⚠ ${partialTotalsWarning()}` : "";
+    warn.hidden = !warn.textContent;
+
+    const columns = leaderboardColumns();
+    box.querySelector("thead").innerHTML = `<tr>${columns.map((c) => {
+      const arrow = c.key === sortKey ? (sortDir > 0 ? " ▲" : " ▼") : "";
+      return `<th data-key="${c.key}" class="${c.num ? "num" : ""}">${c.label}${arrow}</th>`;
+    }).join("")}</tr>`;
+
+    const tbody = box.querySelector("tbody");
+    if (!sorted.length) {
+      tbody.innerHTML = `<tr><td colspan="${columns.length}" class="wl-lb-empty">No ZIPs match the current filters${!hasCompleteData() ? " in the loaded tiles" : ""}.</td></tr>`;
+      return;
+    }
+    tbody.innerHTML = sorted.map((r) => `
+      <tr data-key="${escapeHtml(r.key)}" class="${r.key === leaderboard.hoverKey ? "is-hover" : ""}">
+        ${columns.map((c) => `<td class="${c.num ? "num" : ""}">${c.fmt ? c.fmt(r[c.key]) : escapeHtml(r[c.key])}</td>`).join("")}
+      </tr>
+    `).join("");
+  }
+
+  function highlightLeaderboardRow(zip, branch) {
+    const key = (zip == null) ? null : leaderKey(zip, branch);
+    if (key === leaderboard.hoverKey) return;
+    leaderboard.hoverKey = key;
+    leaderboard.el?.querySelectorAll("tbody tr[data-key]").forEach((tr) => {
+      tr.classList.toggle("is-hover", tr.dataset.key === key);
+      if (tr.dataset.key === key) tr.scrollIntoView({ block: "nearest" });
+    });
+  }
+
+  // Fly to a ZIP and open its detail panel (tiled sources fill in once the tiles there load)
+  function focusZip(zip, branch, coordinates) {
+    if (!coordinates) return;
+    filterDrawer?.setOpen(false);
+    map.flyTo({ center: coordinates, zoom: Math.max(map.getZoom(), 10) });
+    openZipDetail(zip, branch);
+  }
+
+  // =========================
+  // Branch locations, distance rings and sales-by-distance
+  // - Store markers from CONFIG.urls.branches ({ branches: [{ name, lat, lon }] }, name matching
+  //   BranchName in the data); no file means no markers, rings or reach panel (see README)
+  // - Optional 5/10/25/50-mile rings around one branch (the single selected branch by default)
+  // - Sidebar panel buckets that branch's filtered features by distance from the store,
+  //   using each feature's Zip5 point; tiled sources need data.totals for this
+  // =========================
+  const BRANCH_SOURCE_ID = "wl-branches";
+  const BRANCH_LAYER_ID = "wl-branch-markers";
+  const BRANCH_LABEL_LAYER_ID = "wl-branch-labels";
+  const RING_SOURCE_ID = "wl-branch-rings";
+  const RING_LAYER_ID = "wl-branch-rings";
+  const RING_MILES = [5, 10, 25, 50];
+  const EARTH_RADIUS_MI = 3958.8;
+
+  const branchSites = {
+    list: [],     // [{ name, coordinates: [lon, lat] }]
+    byName: new Map(),
+    reachBranch: null, // user pick in the panel; null = follow the branch filter
+    showRings: true,
+    el: null,
+  };
+
+  function haversineMiles([lon1, lat1], [lon2, lat2]) {
+    const toRad = (d) => (d * Math.PI) / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_MI * Math.asin(Math.sqrt(a));
+  }
+
+  // Closed polygon ring of `miles` around [lon, lat]
+  function circlePolygon([lon, lat], miles, steps = 64) {
+    const toRad = (d) => (d * Math.PI) / 180;
+    const toDeg = (r) => (r * 180) / Math.PI;
+    const ang = miles / EARTH_RADIUS_MI;
+    const lat1 = toRad(lat);
+    const lon1 = toRad(lon);
+    const coords = [];
+    for (let i = 0; i <= steps; i++) {
+      const brg = (2 * Math.PI * i) / steps;
+      const lat2 = Math.asin(Math.sin(lat1) * Math.cos(ang) + Math.cos(lat1) * Math.sin(ang) * Math.cos(brg));
+      const lon2 = lon1 + Math.atan2(Math.sin(brg) * Math.sin(ang) * Math.cos(lat1), Math.cos(ang) - Math.sin(lat1) * Math.sin(lat2));
+      coords.push([toDeg(lon2), toDeg(lat2)]);
+    }
+    return coords;
+  }
+
+  async function loadBranchSites() {
+    try {
+      const res = await fetch(CONFIG.urls.branches, { cache: "no-store" });
+      if (res.status === 404) {
+        log(`No branch locations (${CONFIG.urls.branches} not found); markers and reach are off`);
+        return;
+      }
+      if (!res.ok) throw new Error(`${CONFIG.urls.branches} HTTP ${res.status}`);
+      const data = await res.json();
+      const list = (Array.isArray(data?.branches) ? data.branches : [])
+        .map((b) => ({ name: String(b.name ?? ""), coordinates: [Number(b.lon), Number(b.lat)] }))
+        .filter((b) => b.name && b.coordinates.every(isFinite));
+
+      branchSites.list = list;
+      branchSites.byName = new Map(list.map((b) => [b.name, b]));
+      log(`Loaded ${list.length} branch locations`);
+    } catch (err) {
+      console.warn(LOG_PREFIX, "Branch locations not loaded:", err.message || err);
+    }
+  }
+
+  function ensureBranchLayers() {
+    if (!branchSites.list.length || map.getSource(BRANCH_SOURCE_ID)) return;
+
+    map.addSource(BRANCH_SOURCE_ID, {
+      type: "geojson",
+      data: {
+        type: "FeatureCollection",
+        features: branchSites.list.map((b) => ({
+          type: "Feature",
+          geometry: { type: "Point", coordinates: b.coordinates },
+          properties: { name: b.name },
+        })),
+      },
+    });
+    map.addSource(RING_SOURCE_ID, { type: "geojson", data: { type: "FeatureCollection", features: [] } });
+
+    map.addLayer({
+      id: RING_LAYER_ID,
+      type: "line",
+      source: RING_SOURCE_ID,
+      paint: {
+        "line-color": "#1d4ed8",
+        "line-width": 1.2,
+        "line-dasharray": [3, 2],
+        "line-opacity": 0.8,
+      },
+    });
+    map.addLayer({
+      id: BRANCH_LAYER_ID,
+      type: "circle",
+      source: BRANCH_SOURCE_ID,
+      paint: {
+        "circle-radius": 7,
+        "circle-color": "#1d4ed8",
+        "circle-stroke-color": "#ffffff",
+        "circle-stroke-width": 2,
+      },
+    });
+    map.addLayer({
+      id: BRANCH_LABEL_LAYER_ID,
+      type: "symbol",
+      source: BRANCH_SOURCE_ID,
+      layout: {
+        "text-field": ["get", "name"],
+        "text-size": 12,
+        "text-offset": [0, 1.2],
+        "text-anchor": "top",
+      },
+      paint: {
+        "text-color": "#1e3a8a",
+        "text-halo-color": "#ffffff",
+        "text-halo-width": 1.5,
+      },
+    });
+  }
+
+  // Panel pick wins; otherwise the branch filter when exactly one branch is included
+  function reachBranchName() {
+    if (branchSites.reachBranch && branchSites.byName.has(branchSites.reachBranch)) return branchSites.reachBranch;
+    if (state.branch.size === 1 && !state.branchExclude) {
+      const only = Array.from(state.branch)[0];
+      if (branchSites.byName.has(only)) return only;
+    }
+    return null;
+  }
+
+  function updateBranchRings(site) {
+    const src = map.getSource(RING_SOURCE_ID);
+    if (!src) return;
+    const features = (site && branchSites.showRings)
+      ? RING_MILES.map((mi) => ({
+          type: "Feature",
+          geometry: { type: "LineString", coordinates: circlePolygon(site.coordinates, mi) },
+          properties: { miles: mi },
+        }))
+      : [];
+    src.setData({ type: "FeatureCollection", features });
+  }
+
+  function ensureBranchReachPanel() {
+    if (branchSites.el) return branchSites.el;
+    if (!branchSites.list.length) return null;
+    const anchor = leaderboard.el || els.status;
+    if (!anchor) return null;
+
+    if (!document.getElementById("wlReachStyle")) {
+      const st = document.createElement("style");
+      st.id = "wlReachStyle";
+      st.textContent = `
+        #wlReach{ margin-top:14px; font-size:12px; color:#111827; }
+        #wlReach .wl-reach-title{ font-weight:700; color:#374151; margin-bottom:6px; }
+        #wlReach .wl-reach-controls{ display:grid; grid-template-columns:1fr auto; gap:8px; align-items:center; }
+        #wlReach .wl-reach-controls label{ display:flex; align-items:center; gap:4px; margin:0; font-size:12px; }
+        #wlReach .wl-reach-controls input{ width:auto; margin:0; }
+        #wlReach table{ width:100%; border-collapse:collapse; margin-top:8px; font-size:11px; }
+        #wlReach th, #wlReach td{ padding:4px; border-bottom:1px solid #f3f4f6; text-align:right; white-space:nowrap; }
+        #wlReach th:first-child, #wlReach td:first-child{ text-align:left; }
+        #wlReach th{ background:#f9fafb; }
+        #wlReach .wl-reach-note{ color:#6b7280; margin-top:6px; }
+      `;
+      document.head.appendChild(injected(st));
+    }
+
+    const box = document.createElement("div");
+    box.id = "wlReach";
+    box.innerHTML = `
+      <div class="wl-reach-title">Branch reach (sales by distance)</div>
+      <div class="wl-reach-controls">
+        <select aria-label="Branch for distance rings"></select>
+        <label><input type="checkbox" checked /> Rings</label>
+      </div>
+      <div class="wl-reach-table"></div>
+    `;
+    anchor.insertAdjacentElement("afterend", injected(box));
+
+    const sel = box.querySelector("select");
+    sel.innerHTML = `<option value="">Selected branch</option>` +
+      branchSites.list.map((b) => `<option value="${escapeHtml(b.name)}">${escapeHtml(b.name)}</option>`).join("");
+    sel.addEventListener("change", () => {
+      branchSites.reachBranch = sel.value || null;
+      updateBranchReach();
+    });
+    box.querySelector('input[type="checkbox"]').addEventListener("change", (e) => {
+      branchSites.showRings = e.target.checked;
+      updateBranchReach();
+    });
+
+    branchSites.el = box;
+    return box;
+  }
+
+  function updateBranchReach() {
+    const box = ensureBranchReachPanel();
+    const name = reachBranchName();
+    const site = name ? branchSites.byName.get(name) : null;
+    updateBranchRings(site);
+    if (!box) return;
+
+    const tableEl = box.querySelector(".wl-reach-table");
+    if (!site) {
+      tableEl.innerHTML = `<div class="wl-reach-note">Pick a branch above (or filter to one branch) to see its reach.</div>`;
+      return;
+    }
+    if (!hasCompleteData()) {
+      tableEl.innerHTML = `<div class="wl-reach-note">${escapeHtml(incompleteDataNote("Branch reach"))}</div>`;
+      return;
+    }
+
+    const edges = [0, ...RING_MILES, Infinity];
+    const bands = edges.slice(0, -1).map((lo, i) => {
+      const hi = edges[i + 1];
+      const b = { label: hi === Infinity ? `${lo}+ mi` : `${lo}–${hi} mi`, lo, hi, records: 0 };
+      for (const sp of SUM_PROPS) b[sp] = 0;
+      return b;
+    });
+
+    for (const f of collectSourceFeatures()) {
+      const p = f.properties;
+      if (String(p.BranchName ?? "") !== name || !f.coordinates) continue;
+      if (!featureMatchesFilters(p)) continue;
+      const d = haversineMiles(site.coordinates, f.coordinates);
+      const band = bands.find((b) => d >= b.lo && d < b.hi);
+      band.records += 1;
+      for (const sp of SUM_PROPS) band[sp] += Number(p[sp]) || 0;
+    }
+
+    const totalSales = bands.reduce((n, b) => n + b.TotalSales, 0);
+    tableEl.innerHTML = `
+      <table>
+        <thead><tr><th>${escapeHtml(name)}</th><th>Tickets</th><th>Sales</th><th>Profit</th><th>Share</th></tr></thead>
+        <tbody>
+          ${bands.map((b) => `
+            <tr>
+              <td>${b.label}</td>
+              <td>${fmtNum(b.TicketCount)}</td>
+              <td>${fmtCompactMoney(b.TotalSales)}</td>
+              <td>${fmtCompactMoney(b.TotalProfit)}</td>
+              <td>${totalSales ? fmtPct(b.TotalSales / totalSales) : "—"}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+    `;
+  }
+
+  // =========================
+  // Time-lapse playback
+  // - Splits the selected Start/End range into weekly or monthly windows
+  // - Each step re-filters the heat/points/hit layers for that window only (state dates stay put)
+  // - Play/pause, speed and a scrub slider; the window label is shown on the map
+  // - Any applyFilters() stops playback and returns to the full range
+  // =========================
+  const TIMELAPSE_SPEEDS = { slow: 1600, normal: 800, fast: 400 }; // ms per step
+
+  const timelapse = {
+    step: "week",   // "week" | "month"
+    speed: "normal",
+    windows: [],    // [{ startKey, endKey, label }]
+    index: 0,
+    timer: null,
+    active: false,  // a window (not the full range) is on the map
+    el: null,
+    labelEl: null,
+  };
+
+  function dateToKeyNum(dt) {
+    return (dt.getFullYear() * 10000) + ((dt.getMonth() + 1) * 100) + dt.getDate();
+  }
+
+  function buildTimeWindows(startKey, endKey, step) {
+    const s = keyToDate(startKey);
+    const e = keyToDate(endKey);
+    if (!s || !e || s > e) return [];
+
+    const out = [];
+    let cur = new Date(s);
+    while (cur <= e && out.length < 520) {
+      let next;
+      let label;
+      if (step === "month") {
+        next = new Date(cur.getFullYear(), cur.getMonth() + 1, 1);
+        label = cur.toLocaleString(undefined, { month: "short", year: "numeric" });
+      } else {
+        next = new Date(cur.getFullYear(), cur.getMonth(), cur.getDate() + 7);
+        label = `Week of ${formatMDY(cur)}`;
+      }
+      const last = new Date(Math.min(next.getTime() - 24 * 60 * 60 * 1000, e.getTime()));
+      out.push({ startKey: dateToKeyNum(cur), endKey: dateToKeyNum(last), label });
+      cur = next;
+    }
+    return out;
+  }
+
+  function setLayerFilters(filterExpr) {
+    for (const id of [HEAT_LAYER_ID, POINT_LAYER_ID, HIT_LAYER_ID]) {
+      try {
+        if (map.getLayer(id)) map.setFilter(id, filterExpr);
+      } catch (e) {
+        console.error(LOG_PREFIX, `setFilter ${id} failed`, e, filterExpr);
+      }
+    }
+  }
+
+  function showTimelapseWindow(i) {
+    const w = timelapse.windows[i];
+    if (!w) return;
+    timelapse.index = i;
+    timelapse.active = true;
+    setLayerFilters(buildFilterExpr({ startKey: w.startKey, endKey: w.endKey }));
+
+    const slider = timelapse.el?.querySelector('input[type="range"]');
+    if (slider) slider.value = String(i);
+    const txt = `${w.label} (${i + 1}/${timelapse.windows.length})`;
+    const cap = timelapse.el?.querySelector(".wl-tl-label");
+    if (cap) cap.textContent = txt;
+    if (timelapse.labelEl) {
+      timelapse.labelEl.textContent = w.label;
+      timelapse.labelEl.style.display = "block";
+    }
+  }
+
+  function pauseTimelapse() {
+    if (timelapse.timer) clearInterval(timelapse.timer);
+    timelapse.timer = null;
+    const btn = timelapse.el?.querySelector(".wl-tl-play");
+    if (btn) btn.textContent = "▶ Play";
+  }
+
+  function playTimelapse() {
+    if (!timelapse.windows.length) {
+      setStatus("Time-lapse needs a Start and End date.");
+      return;
+    }
+    pauseTimelapse();
+    if (!timelapse.active || timelapse.index >= timelapse.windows.length - 1) showTimelapseWindow(0);
+    timelapse.timer = setInterval(() => {
+      if (timelapse.index >= timelapse.windows.length - 1) { pauseTimelapse(); return; }
+      showTimelapseWindow(timelapse.index + 1);
+    }, TIMELAPSE_SPEEDS[timelapse.speed]);
+    const btn = timelapse.el?.querySelector(".wl-tl-play");
+    if (btn) btn.textContent = "❚❚ Pause";
+  }
+
+  // Back to the full Start/End range (filters already on the layers are re-applied by the caller)
+  function resetTimelapse() {
+    pauseTimelapse();
+    timelapse.active = false;
+    timelapse.windows = buildTimeWindows(state.startKey, state.endKey, timelapse.step);
+    timelapse.index = 0;
+    if (timelapse.labelEl) timelapse.labelEl.style.display = "none";
+
+    const el = timelapse.el;
+    if (!el) return;
+    const slider = el.querySelector('input[type="range"]');
+    slider.max = String(Math.max(0, timelapse.windows.length - 1));
+    slider.value = "0";
+    slider.disabled = !timelapse.windows.length;
+    el.querySelector(".wl-tl-play").disabled = !timelapse.windows.length;
+    el.querySelector(".wl-tl-label").textContent = timelapse.windows.length
+      ? `${timelapse.windows.length} ${timelapse.step === "month" ? "months" : "weeks"} • full range shown`
+      : "Set Start and End dates to play";
+  }
+
+  function ensureTimelapseBar() {
+    if (!els.startDate || !els.endDate || timelapse.el) return;
+
+    if (!document.getElementById("wlTimelapseStyle")) {
+      const st = document.createElement("style");
+      st.id = "wlTimelapseStyle";
+      st.textContent = `
+        #wlTimelapse{ margin-top:10px; padding:8px; border:1px solid #e5e7eb; border-radius:8px; font-size:12px; color:#374151; }
+        #wlTimelapse .wl-tl-row{ display:flex; gap:6px; align-items:center; }
+        #wlTimelapse .wl-tl-row + .wl-tl-row{ margin-top:6px; }
+        #wlTimelapse select{ width:auto; flex:1; padding:5px 6px; font-size:12px; }
+        #wlTimelapse button{
+          width:auto;
+          color:#111827 !important;
+          -webkit-text-fill-color:#111827 !important;
+          background:#ffffff !important;
+          border:1px solid rgba(0,0,0,.15) !important;
+          border-radius:8px !important;
+          padding:5px 8px !important;
+          font-size:12px !important;
+          white-space:nowrap;
+        }
+        #wlTimelapse button:disabled{ opacity:.5; cursor:default; }
+        #wlTimelapse input[type="range"]{ width:100%; padding:0; border:none; }
+        #wlTimelapse .wl-tl-label{ font-size:11px; color:#6b7280; }
+        #wlTimelapseLabel{
+          position:absolute; top:10px; left:50%; transform:translateX(-50%);
+          z-index:4; display:none;
+          padding:6px 12px; border-radius:999px;
+          background:rgba(17,24,39,.85); color:#fff;
+          font: 700 13px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;
+          pointer-events:none;
+        }
+        @media (max-width: ${MOBILE_BREAKPOINT_PX}px){
+          #wlTimelapseLabel{ top:74px; }
+        }
+      `;
+      document.head.appendChild(injected(st));
+    }
+
+    const box = document.createElement("div");
+    box.id = "wlTimelapse";
+    box.innerHTML = `
+      <div class="wl-tl-row">
+        <button type="button" class="wl-tl-play">▶ Play</button>
+        <select class="wl-tl-step" aria-label="Time-lapse step">
+          <option value="week">Weekly</option>
+          <option value="month">Monthly</option>
+        </select>
+        <select class="wl-tl-speed" aria-label="Time-lapse speed">
+          <option value="slow">Slow</option>
+          <option value="normal" selected>Normal</option>
+          <option value="fast">Fast</option>
+        </select>
+        <button type="button" class="wl-tl-reset" title="Show the full date range">Reset</button>
+      </div>
+      <div class="wl-tl-row"><input type="range" min="0" max="0" value="0" step="1" aria-label="Time-lapse position" /></div>
+      <div class="wl-tl-label"></div>
+    `;
+
+    box.querySelector(".wl-tl-play").addEventListener("click", () => {
+      if (timelapse.timer) pauseTimelapse();
+      else playTimelapse();
+    });
+    box.querySelector(".wl-tl-reset").addEventListener("click", () => applyFilters());
+    box.querySelector(".wl-tl-step").addEventListener("change", (e) => {
+      timelapse.step = e.target.value === "month" ? "month" : "week";
+      applyFilters();
+    });
+    box.querySelector(".wl-tl-speed").addEventListener("change", (e) => {
+      timelapse.speed = TIMELAPSE_SPEEDS[e.target.value] ? e.target.value : "normal";
+      if (timelapse.timer) playTimelapse();
+    });
+    // Scrubbing pauses playback and shows the chosen window
+    box.querySelector('input[type="range"]').addEventListener("input", (e) => {
+      pauseTimelapse();
+      showTimelapseWindow(Number(e.target.value) || 0);
+    });
+
+    const anchor = document.getElementById("wlCompare") || document.getElementById("wlQuickDates");
+    if (anchor) anchor.insertAdjacentElement("beforebegin", injected(box));
+    else els.endDate.parentElement?.appendChild(injected(box));
+    timelapse.el = box;
+
+    const label = document.createElement("div");
+    label.id = "wlTimelapseLabel";
+    const mapParent = document.getElementById("map")?.parentElement || document.body;
+    mapParent.appendChild(injected(label));
+    timelapse.labelEl = label;
+
+    resetTimelapse();
+  }
+
+  // =========================
+  // Trade areas (lasso / polygon / circle)
+  // - Lasso: press and drag; Polygon: click vertices, double-click (or click the first vertex)
+  //   to finish; Circle: press at the center and drag out the radius. Esc cancels.
+  // - Selected shapes show handles: drag vertices (polygon/lasso) or center/edge (circle)
+  // - Totals cover every filtered feature inside the shape, by branch and product group
+  //   (tiled sources need data.totals; without it the panel says why there are none)
+  // - Named shapes can be saved to localStorage (AREAS_STORAGE_KEY)
+  // =========================
+  const AREA_SOURCE_ID = "wl-areas";
+  const AREA_FILL_LAYER_ID = "wl-area-fill";
+  const AREA_LINE_LAYER_ID = "wl-area-line";
+  const AREA_DRAFT_SOURCE_ID = "wl-area-draft";
+  const AREA_DRAFT_LAYER_ID = "wl-area-draft";
+  const AREA_HANDLE_SOURCE_ID = "wl-area-handles";
+  const AREA_HANDLE_LAYER_ID = "wl-area-handles";
+  const AREAS_STORAGE_KEY = "wlHeatmap.tradeAreas";
+  const AREA_MODES = { lasso: "Lasso", polygon: "Polygon", circle: "Circle" };
+
+  const areas = {
+    list: [],         // [{ id, name, type: "polygon"|"circle", origin, ring, center, radiusMi, saved }]
+    selectedId: null,
+    nextId: 1,
+    mode: null,       // key of AREA_MODES while drawing
+    draft: null,      // in-progress shape
+    drag: null,       // { areaId, role, idx } while dragging a handle
+    el: null,
+  };
+
+  const isDrawingArea = () => !!(areas.mode || areas.drag);
+
+  function areaRing(a) {
+    if (a.type === "circle") return circlePolygon(a.center, a.radiusMi);
+    return [...a.ring, a.ring[0]];
+  }
+
+  // Ray casting in lng/lat (fine at trade-area scale)
+  function pointInRing([x, y], ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if (((yi > y) !== (yj > y)) && (x < ((xj - xi) * (y - yi)) / (yj - yi) + xi)) inside = !inside;
+    }
+    return inside;
+  }
+
+  function areaContains(a, coords) {
+    if (!coords) return false;
+    if (a.type === "circle") return haversineMiles(a.center, coords) <= a.radiusMi;
+    return pointInRing(coords, a.ring);
+  }
+
+  // Ramer–Douglas–Peucker in screen pixels so freehand lassos stay editable
+  function simplifyLngLats(pts, tolerancePx = 4) {
+    if (pts.length <= 4) return pts;
+    const px = pts.map((p) => map.project(p));
+    const keep = new Array(pts.length).fill(false);
+    keep[0] = keep[pts.length - 1] = true;
+
+    const stack = [[0, pts.length - 1]];
+    while (stack.length) {
+      const [a, b] = stack.pop();
+      let maxD = 0;
+      let idx = -1;
+      const dx = px[b].x - px[a].x;
+      const dy = px[b].y - px[a].y;
+      const len = Math.hypot(dx, dy) || 1;
+      for (let i = a + 1; i < b; i++) {
+        const d = Math.abs(dy * px[i].x - dx * px[i].y + px[b].x * px[a].y - px[b].y * px[a].x) / len;
+        if (d > maxD) { maxD = d; idx = i; }
+      }
+      if (maxD > tolerancePx && idx > 0) {
+        keep[idx] = true;
+        stack.push([a, idx], [idx, b]);
+      }
+    }
+    return pts.filter((_, i) => keep[i]);
+  }
+
+  function ensureAreaLayers() {
+    const empty = { type: "FeatureCollection", features: [] };
+    if (!map.getSource(AREA_SOURCE_ID)) map.addSource(AREA_SOURCE_ID, { type: "geojson", data: empty });
+    if (!map.getSource(AREA_DRAFT_SOURCE_ID)) map.addSource(AREA_DRAFT_SOURCE_ID, { type: "geojson", data: empty });
+    if (!map.getSource(AREA_HANDLE_SOURCE_ID)) map.addSource(AREA_HANDLE_SOURCE_ID, { type: "geojson", data: empty });
+
+    if (!map.getLayer(AREA_FILL_LAYER_ID)) {
+      map.addLayer({
+        id: AREA_FILL_LAYER_ID,
+        type: "fill",
+        source: AREA_SOURCE_ID,
+        paint: {
+          "fill-color": "#7c3aed",
+          "fill-opacity": ["case", ["boolean", ["get", "selected"], false], 0.18, 0.08],
+        },
+      });
+    }
+    if (!map.getLayer(AREA_LINE_LAYER_ID)) {
+      map.addLayer({
+        id: AREA_LINE_LAYER_ID,
+        type: "line",
+        source: AREA_SOURCE_ID,
+        paint: {
+          "line-color": "#6d28d9",
+          "line-width": ["case", ["boolean", ["get", "selected"], false], 2.5, 1.5],
+        },
+      });
+    }
+    if (!map.getLayer(AREA_DRAFT_LAYER_ID)) {
+      map.addLayer({
+        id: AREA_DRAFT_LAYER_ID,
+        type: "line",
+        source: AREA_DRAFT_SOURCE_ID,
+        paint: { "line-color": "#6d28d9", "line-width": 2, "line-dasharray": [2, 2] },
+      });
+    }
+    if (!map.getLayer(AREA_HANDLE_LAYER_ID)) {
+      map.addLayer({
+        id: AREA_HANDLE_LAYER_ID,
+        type: "circle",
+        source: AREA_HANDLE_SOURCE_ID,
+        paint: {
+          "circle-radius": 6,
+          "circle-color": "#ffffff",
+          "circle-stroke-color": "#6d28d9",
+          "circle-stroke-width": 2,
+        },
+      });
+    }
+  }
+
+  function renderAreas() {
+    map.getSource(AREA_SOURCE_ID)?.setData({
+      type: "FeatureCollection",
+      features: areas.list.map((a) => ({
+        type: "Feature",
+        geometry: { type: "Polygon", coordinates: [areaRing(a)] },
+        properties: { id: a.id, name: a.name, selected: a.id === areas.selectedId },
+      })),
+    });
+
+    const sel = areas.list.find((a) => a.id === areas.selectedId);
+    const handles = [];
+    if (sel && sel.type === "circle") {
+      const edge = circlePolygon(sel.center, sel.radiusMi, 4)[1]; // due east
+      handles.push({ coordinates: sel.center, role: "center", idx: 0 });
+      handles.push({ coordinates: edge, role: "radius", idx: 0 });
+    } else if (sel) {
+      sel.ring.forEach((c, idx) => handles.push({ coordinates: c, role: "vertex", idx }));
+    }
+    map.getSource(AREA_HANDLE_SOURCE_ID)?.setData({
+      type: "FeatureCollection",
+      features: handles.map((h) => ({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: h.coordinates },
+        properties: { role: h.role, idx: h.idx },
+      })),
+    });
+  }
+
+  function renderDraft() {
+    const d = areas.draft;
+    let coords = [];
+    if (d?.type === "circle" && d.radiusMi > 0) coords = circlePolygon(d.center, d.radiusMi);
+    else if (d?.pts?.length) coords = d.hover ? [...d.pts, d.hover] : d.pts;
+    map.getSource(AREA_DRAFT_SOURCE_ID)?.setData({
+      type: "FeatureCollection",
+      features: coords.length > 1 ? [{ type: "Feature", geometry: { type: "LineString", coordinates: coords }, properties: {} }] : [],
+    });
+  }
+
+  function startAreaDraw(mode) {
+    cancelAreaDraw();
+    if (!AREA_MODES[mode]) return;
+    areas.mode = mode;
+    areas.draft = null;
+    if (mode !== "polygon") map.dragPan.disable();
+    map.doubleClickZoom.disable();
+    map.getCanvas().style.cursor = "crosshair";
+    setStatus({
+      lasso: "Lasso: press and drag around the area, release to finish (Esc cancels).",
+      polygon: "Polygon: click each corner, double-click or click the first corner to finish (Esc cancels).",
+      circle: "Circle: press at the center and drag out the radius (Esc cancels).",
+    }[mode]);
+    updateAreaPanel();
+  }
+
+  function cancelAreaDraw() {
+    areas.mode = null;
+    areas.draft = null;
+    map.dragPan.enable();
+    map.doubleClickZoom.enable();
+    map.getCanvas().style.cursor = "";
+    renderDraft();
+    updateAreaPanel();
+  }
+
+  function addArea(shape) {
+    const n = areas.nextId++;
+    const a = { id: `area-${n}`, name: `Area ${n}`, saved: false, ...shape };
+    areas.list.push(a);
+    areas.selectedId = a.id;
+    cancelAreaDraw();
+    renderAreas();
+    updateAreaPanel();
+    return a;
+  }
+
+  function finishPolygonDraft() {
+    const pts = areas.draft?.pts || [];
+    if (pts.length < 3) return;
+    addArea({ type: "polygon", origin: "polygon", ring: pts.slice() });
+  }
+
+  function handleAt(point) {
+    if (!map.getLayer(AREA_HANDLE_LAYER_ID)) return null;
+    const f = map.queryRenderedFeatures([[point.x - 6, point.y - 6], [point.x + 6, point.y + 6]], { layers: [AREA_HANDLE_LAYER_ID] })[0];
+    return f ? { role: f.properties.role, idx: Number(f.properties.idx) } : null;
+  }
+
+  function wireAreaDrawing() {
+    const toLL = (e) => [e.lngLat.lng, e.lngLat.lat];
+
+    const onDown = (e) => {
+      if (areas.mode === "lasso") {
+        e.preventDefault();
+        areas.draft = { type: "lasso", pts: [toLL(e)], lastPx: e.point };
+        return;
+      }
+      if (areas.mode === "circle") {
+        e.preventDefault();
+        areas.draft = { type: "circle", center: toLL(e), radiusMi: 0 };
+        return;
+      }
+      if (areas.mode) return;
+
+      const h = areas.selectedId ? handleAt(e.point) : null;
+      if (h) {
+        e.preventDefault();
+        map.dragPan.disable();
+        areas.drag = { areaId: areas.selectedId, ...h };
+      }
+    };
+
+    const onMove = (e) => {
+      const ll = toLL(e);
+      const d = areas.draft;
+      if (areas.mode === "lasso" && d) {
+        if (Math.hypot(e.point.x - d.lastPx.x, e.point.y - d.lastPx.y) < 3) return;
+        d.pts.push(ll);
+        d.lastPx = e.point;
+        renderDraft();
+        return;
+      }
+      if (areas.mode === "circle" && d) {
+        d.radiusMi = haversineMiles(d.center, ll);
+        renderDraft();
+        setStatus(`Circle radius: ${d.radiusMi.toFixed(1)} mi`);
+        return;
+      }
+      if (areas.mode === "polygon" && d) {
+        d.hover = ll;
+        renderDraft();
+        return;
+      }
+      if (areas.drag) {
+        const a = areas.list.find((x) => x.id === areas.drag.areaId);
+        if (!a) return;
+        if (areas.drag.role === "center") a.center = ll;
+        else if (areas.drag.role === "radius") a.radiusMi = Math.max(0.1, haversineMiles(a.center, ll));
+        else a.ring[areas.drag.idx] = ll;
+        renderAreas();
+      }
+    };
+
+    const onUp = () => {
+      const d = areas.draft;
+      if (areas.mode === "lasso" && d) {
+        const ring = simplifyLngLats(d.pts);
+        if (ring.length >= 3) addArea({ type: "polygon", origin: "lasso", ring });
+        else cancelAreaDraw();
+        return;
+      }
+      if (areas.mode === "circle" && d) {
+        if (d.radiusMi > 0.05) addArea({ type: "circle", origin: "circle", center: d.center, radiusMi: d.radiusMi });
+        else cancelAreaDraw();
+        return;
+      }
+      if (areas.drag) {
+        const a = areas.list.find((x) => x.id === areas.drag.areaId);
+        areas.drag = null;
+        map.dragPan.enable();
+        if (a?.saved) persistAreas();
+        updateAreaPanel();
+      }
+    };
+
+    map.on("mousedown", onDown);
+    map.on("touchstart", onDown);
+    map.on("mousemove", onMove);
+    map.on("touchmove", onMove);
+    map.on("mouseup", onUp);
+    map.on("touchend", onUp);
+
+    map.on("click", (e) => {
+      if (areas.mode !== "polygon") return;
+      const ll = toLL(e);
+      const d = areas.draft || (areas.draft = { type: "polygon", pts: [] });
+      if (d.pts.length >= 3) {
+        const first = map.project(d.pts[0]);
+        if (Math.hypot(first.x - e.point.x, first.y - e.point.y) < 10) { finishPolygonDraft(); return; }
+      }
+      d.pts.push(ll);
+      renderDraft();
+    });
+
+    map.on("dblclick", (e) => {
+      if (areas.mode !== "polygon") return;
+      e.preventDefault();
+      // The double-click's second click already added a duplicate vertex
+      if (areas.draft?.pts?.length > 3) areas.draft.pts.pop();
+      finishPolygonDraft();
+    });
+
+    map.on("click", AREA_FILL_LAYER_ID, (e) => {
+      if (isDrawingArea()) return;
+      const id = e.features?.[0]?.properties?.id;
+      if (!id || id === areas.selectedId) return;
+      areas.selectedId = id;
+      renderAreas();
+      updateAreaPanel();
+    });
+
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape" && areas.mode) cancelAreaDraw();
+    }, { signal });
+  }
+
+  function persistAreas() {
+    try {
+      const saved = areas.list.filter((a) => a.saved).map(({ name, type, origin, ring, center, radiusMi }) =>
+        ({ name, type, origin, ring, center, radiusMi }));
+      window.localStorage.setItem(AREAS_STORAGE_KEY, JSON.stringify(saved));
+    } catch (e) {
+      console.warn(LOG_PREFIX, "Could not save trade areas:", e);
+      setStatus("Could not save trade areas (browser storage unavailable).");
+    }
+  }
+
+  const isLngLat = (c) => Array.isArray(c) && c.length === 2 && c.every((n) => typeof n === "number" && isFinite(n));
+
+  // Stored areas are user-editable (devtools, other builds), so check the shape before
+  // pointInRing / circlePolygon ever see it
+  function validSavedArea(a) {
+    if (!a || typeof a !== "object") return false;
+    if (a.type === "circle") return isLngLat(a.center) && typeof a.radiusMi === "number" && isFinite(a.radiusMi) && a.radiusMi > 0;
+    if (a.type === "polygon") return Array.isArray(a.ring) && a.ring.length >= 3 && a.ring.every(isLngLat);
+    return false;
+  }
+
+  function loadSavedAreas() {
+    try {
+      const raw = window.localStorage.getItem(AREAS_STORAGE_KEY);
+      const list = raw ? JSON.parse(raw) : [];
+      let skipped = 0;
+      for (const a of Array.isArray(list) ? list : []) {
+        if (!validSavedArea(a)) { skipped += 1; continue; }
+        const n = areas.nextId++;
+        areas.list.push({ id: `area-${n}`, name: String(a.name || `Area ${n}`), type: a.type,
+          origin: AREA_MODES[a.origin] ? a.origin : a.type,
+          ring: a.type === "polygon" ? a.ring : undefined,
+          center: a.type === "circle" ? a.center : undefined,
+          radiusMi: a.type === "circle" ? a.radiusMi : undefined,
+          saved: true });
+      }
+      if (skipped) console.warn(LOG_PREFIX, `Skipped ${skipped} malformed saved trade area(s)`);
+      if (areas.list.length) log(`Loaded ${areas.list.length} saved trade areas`);
+    } catch (e) {
+      console.warn(LOG_PREFIX, "Could not read saved trade areas:", e);
+    }
+  }
+
+  function areaTotals(a) {
+    const groupLevel = groupBreakdownLevel();
+    const total = { records: 0 };
+    for (const sp of SUM_PROPS) total[sp] = 0;
+    const inside = [];
+    for (const f of collectSourceFeatures()) {
+      if (!areaContains(a, f.coordinates) || !featureMatchesFilters(f.properties)) continue;
+      inside.push(f);
+      total.records += 1;
+      for (const sp of SUM_PROPS) total[sp] += Number(f.properties[sp]) || 0;
+    }
+    return {
+      total,
+      byBranch: Array.from(aggregateBy(inside, ["BranchName"]).values()).sort((x, y) => y.TotalSales - x.TotalSales),
+      groupLevel,
+      byGroup: groupLevel ? Array.from(aggregateBy(inside, [groupLevel.field]).values()).sort((x, y) => y.TotalSales - x.TotalSales) : [],
+      zips: Array.from(new Set(inside.map((f) => normZip(f.properties.Zip5)))).sort(),
+    };
+  }
+
+  function ensureAreaPanel() {
+    if (areas.el) return areas.el;
+    const anchor = branchSites.el || leaderboard.el || els.status;
+    if (!anchor) return null;
+
+    if (!document.getElementById("wlAreasStyle")) {
+      const st = document.createElement("style");
+      st.id = "wlAreasStyle";
+      st.textContent = `
+        #wlAreas{ margin-top:14px; font-size:12px; color:#111827; }
+        #wlAreas .wl-areas-title{ font-weight:700; color:#374151; margin-bottom:6px; }
+        #wlAreas .wl-areas-modes{ display:grid; grid-template-columns:repeat(4, 1fr); gap:6px; }
+        #wlAreas button{
+          padding:5px 6px !important;
+          font-size:12px !important;
+          background:#f3f4f6 !important;
+          color:#111827 !important;
+          -webkit-text-fill-color:#111827 !important;
+          border:1px solid #d1d5db !important;
+          border-radius:8px !important;
+        }
+        #wlAreas button.active{ background:#6d28d9 !important; color:#fff !important; -webkit-text-fill-color:#fff !important; }
+        #wlAreas .wl-area-item{ display:flex; gap:4px; align-items:center; margin-top:6px; }
+        #wlAreas .wl-area-item input{ flex:1; padding:4px 6px; font-size:12px; }
+        #wlAreas .wl-area-item.is-selected input{ border-color:#6d28d9; }
+        #wlAreas .wl-area-item button{ width:auto; }
+        #wlAreas table{ width:100%; border-collapse:collapse; margin-top:6px; font-size:11px; }
+        #wlAreas th, #wlAreas td{ padding:3px 4px; border-bottom:1px solid #f3f4f6; text-align:right; white-space:nowrap; }
+        #wlAreas th:first-child, #wlAreas td:first-child{ text-align:left; white-space:normal; }
+        #wlAreas th{ background:#f9fafb; }
+        #wlAreas .wl-area-zips{ margin-top:6px; color:#374151; word-break:break-word; }
+        #wlAreas .wl-area-note{ color:#6b7280; margin-top:6px; }
+      `;
+      document.head.appendChild(injected(st));
     }
+
+    const box = document.createElement("div");
+    box.id = "wlAreas";
+    box.innerHTML = `
+      <div class="wl-areas-title">Trade areas</div>
+      <div class="wl-areas-modes">
+        ${Object.entries(AREA_MODES).map(([k, label]) => `<button type="button" data-mode="${k}">${label}</button>`).join("")}
+        <button type="button" data-mode="">Cancel</button>
+      </div>
+      <div class="wl-areas-list"></div>
+      <div class="wl-areas-result"></div>
+    `;
+    anchor.insertAdjacentElement("afterend", injected(box));
+
+    box.querySelector(".wl-areas-modes").addEventListener("click", (e) => {
+      const btn = e.target.closest("button[data-mode]");
+      if (!btn) return;
+      if (btn.dataset.mode) {
+        filterDrawer?.setOpen(false);
+        startAreaDraw(btn.dataset.mode);
+      } else {
+        cancelAreaDraw();
+      }
+    });
+
+    const listEl = box.querySelector(".wl-areas-list");
+    listEl.addEventListener("click", (e) => {
+      const item = e.target.closest("[data-id]");
+      if (!item) return;
+      const a = areas.list.find((x) => x.id === item.dataset.id);
+      if (!a) return;
+      const act = e.target.closest("button")?.dataset.act;
+      if (act === "delete") {
+        areas.list = areas.list.filter((x) => x.id !== a.id);
+        if (areas.selectedId === a.id) areas.selectedId = null;
+        if (a.saved) persistAreas();
+      } else if (act === "save") {
+        a.saved = true;
+        persistAreas();
+      } else if (act === "zoom") {
+        const ring = areaRing(a);
+        const lngs = ring.map((c) => c[0]);
+        const lats = ring.map((c) => c[1]);
+        map.fitBounds([[Math.min(...lngs), Math.min(...lats)], [Math.max(...lngs), Math.max(...lats)]], { padding: 40 });
+        areas.selectedId = a.id;
+      } else {
+        areas.selectedId = a.id;
+      }
+      renderAreas();
+      updateAreaPanel();
+    });
+    listEl.addEventListener("change", (e) => {
+      const item = e.target.closest("[data-id]");
+      const a = item && areas.list.find((x) => x.id === item.dataset.id);
+      if (!a || e.target.tagName !== "INPUT") return;
+      a.name = e.target.value.trim() || a.name;
+      if (a.saved) persistAreas();
+      renderAreas();
+    });
+
+    areas.el = box;
+    return box;
   }
 
-  function updateMetricPaint() {
-    const metricProp = METRICS[state.metric].prop;
-    const metricNum = safeToNumberExpr(metricProp);
+  function updateAreaPanel() {
+    const box = ensureAreaPanel();
+    if (!box) return;
 
-    if (map.getLayer(HEAT_LAYER_ID)) {
-      map.setPaintProperty(HEAT_LAYER_ID, "heatmap-weight", [
-        "interpolate", ["linear"], metricNum,
-        0, 0,
-        500, 0.25,
-        2000, 0.6,
-        10000, 1
-      ]);
+    box.querySelectorAll(".wl-areas-modes button[data-mode]").forEach((b) => {
+      b.classList.toggle("active", !!b.dataset.mode && b.dataset.mode === areas.mode);
+    });
+
+    const listEl = box.querySelector(".wl-areas-list");
+    // Don't rebuild while someone is typing a name
+    if (!listEl.contains(document.activeElement)) {
+      listEl.innerHTML = areas.list.map((a) => `
+        <div class="wl-area-item ${a.id === areas.selectedId ? "is-selected" : ""}" data-id="${a.id}">
+          <input type="text" value="${escapeHtml(a.name)}" aria-label="Area name" />
+          <button type="button" data-act="zoom" title="Zoom to area">⌖</button>
+          <button type="button" data-act="save" title="Save in this browser">${a.saved ? "✓" : "Save"}</button>
+          <button type="button" data-act="delete" title="Delete">✕</button>
+        </div>
+      `).join("");
+    }
+
+    const resultEl = box.querySelector(".wl-areas-result");
+    const sel = areas.list.find((a) => a.id === areas.selectedId);
+    if (!sel) {
+      resultEl.innerHTML = areas.list.length ? `<div class="wl-area-note">Select an area to see its totals.</div>` : "";
+      return;
+    }
+
+    const shape = sel.type === "circle" ? `Circle, ${sel.radiusMi.toFixed(1)} mi radius` : `${AREA_MODES[sel.origin] || "Polygon"}, ${sel.ring.length} points`;
+    if (!hasCompleteData()) {
+      resultEl.innerHTML = `
+        <div class="wl-area-note">${shape}</div>
+        <div class="wl-area-note">${escapeHtml(incompleteDataNote("Trade area totals"))}</div>
+      `;
+      return;
     }
+
+    const { total, byBranch, groupLevel, byGroup, zips } = areaTotals(sel);
+    const rowsHtml = (rows, keyProp) => rows.map((r) => `
+      <tr><td>${escapeHtml(r[keyProp])}</td><td>${fmtNum(r.TicketCount)}</td>
+      <td>${fmtCompactMoney(r.TotalSales)}</td><td>${fmtCompactMoney(r.TotalProfit)}</td></tr>
+    `).join("");
+
+    resultEl.innerHTML = `
+      <div class="wl-area-note">${shape}</div>
+      <table>
+        <thead><tr><th>${escapeHtml(sel.name)}</th><th>Tickets</th><th>Sales</th><th>Profit</th></tr></thead>
+        <tbody><tr><td><b>Total</b></td><td><b>${fmtNum(total.TicketCount)}</b></td>
+          <td><b>${fmtCompactMoney(total.TotalSales)}</b></td><td><b>${fmtCompactMoney(total.TotalProfit)}</b></td></tr></tbody>
+      </table>
+      <table><thead><tr><th>Branch</th><th>Tickets</th><th>Sales</th><th>Profit</th></tr></thead>
+        <tbody>${rowsHtml(byBranch, "BranchName")}</tbody></table>
+      ${groupLevel ? `<table><thead><tr><th>${escapeHtml(groupLevel.label)}</th><th>Tickets</th><th>Sales</th><th>Profit</th></tr></thead>
+        <tbody>${rowsHtml(byGroup, groupLevel.field)}</tbody></table>` : ""}
+      <div class="wl-area-zips"><b>ZIPs (${zips.length}):</b> ${zips.length ? zips.join(", ") : "none"}</div>
+    `;
   }
 
   // =========================
   // Apply / Clear
   // =========================
   function applyFilters() {
-    state.branch = els.branchSelect?.value ?? "__ALL__";
-    state.group = els.groupSelect?.value ?? "__ALL__";
+    state.branch = branchPicker ? branchPicker.getValues() : new Set();
+    state.branchExclude = !!branchPicker?.isExclude();
+    GROUP_LEVELS.forEach((lvl, i) => {
+      const picker = groupLevelPickers[i];
+      const active = !!picker && !picker.wrap?.hidden;
+      state[lvl.key] = active ? picker.getValues() : new Set();
+      state[`${lvl.key}Exclude`] = active && picker.isExclude();
+    });
 
     state.startKey = dateToKey(els.startDate?.value);
     state.endKey = dateToKey(els.endDate?.value);
@@ -735,80 +6077,194 @@ if (canDateFilter) {
       els.endDate.value = s;
     }
 
+    state.compare.enabled = !!els.compareToggle?.checked;
+    state.compare.startKey = dateToKey(els.compareStart?.value);
+    state.compare.endKey = dateToKey(els.compareEnd?.value);
+    if (state.compare.startKey != null && state.compare.endKey != null && state.compare.startKey > state.compare.endKey) {
+      const tmp = state.compare.startKey;
+      state.compare.startKey = state.compare.endKey;
+      state.compare.endKey = tmp;
+    }
+
+    // First use of "Per": raw until the demographics file is in, then apply again
+    if (state.normalize !== "none" && !demographics.loaded && !demographics.failed && !demographics.loading) {
+      ensureDemographics().then(() => {
+        hashSync.restoring = true;
+        try {
+          applyFilters();
+        } finally {
+          hashSync.restoring = false;
+        }
+      }).catch((err) => {
+        console.error(LOG_PREFIX, "Re-apply after demographics load failed", err);
+        setStatus(`Filters not re-applied after loading demographics: ${err.message || err}`);
+      });
+    }
+    demographics.gaps = demographicGaps();
+
     const filterExpr = buildFilterExpr();
-     // ---- DEBUG ----
-console.log("[WLHeatmap][DEBUG] state:", JSON.stringify(state));
-console.log("[WLHeatmap][DEBUG] filterExpr:", JSON.stringify(filterExpr));
-// --------------
+    setLayerFilters(filterExpr);
+    resetTimelapse();
+
+
+    const statusParts = [
+      ...(!dataStore.reported && dataStore.label ? [`Source: ${dataStore.label}`] : []),
+      `Metric: ${metricDisplayLabel(state.metric, { status: true })}`,
+      ...(state.normalize !== "none" && !isNormalized()
+        ? [`Per: ${demographics.loading ? "loading demographics…" : "not applied"}`] : []),
+      `Branch: ${describeSelection(state.branch, state.branchExclude, "All")}`,
+      `Group: ${describeGroups("All")}`,
+      `Dates: ${state.startKey ?? "…"} → ${state.endKey ?? "…"}`,
+    ];
 
     try {
-  if (map.getLayer(HEAT_LAYER_ID)) map.setFilter(HEAT_LAYER_ID, filterExpr);
-} catch (e) {
-  console.error("[WLHeatmap][DEBUG] setFilter wl-heat failed", e, filterExpr);
-}
-
-try {
-  if (map.getLayer(POINT_LAYER_ID)) map.setFilter(POINT_LAYER_ID, filterExpr);
-} catch (e) {
-  console.error("[WLHeatmap][DEBUG] setFilter wl-points failed", e, filterExpr);
-}
+      updateMetricPaint();
+      statusParts.push(`Scale: ${SCALE_MODES[state.scaleMode]}${state.scaleLocked ? " (locked)" : ""}`);
+    } catch (e) {
+      console.error(LOG_PREFIX, "Heat scale update failed", e);
+    }
 
-try {
-  if (map.getLayer(HIT_LAYER_ID)) map.setFilter(HIT_LAYER_ID, filterExpr);
-} catch (e) {
-  console.error("[WLHeatmap][DEBUG] setFilter wl-points-hit failed", e, filterExpr);
-}
+    if (state.compare.enabled) {
+      const { ready, note } = compareReadiness();
+      statusParts.push(ready
+        ? `Compare: ${formatKeyRange(state.compare.startKey, state.compare.endKey)} (blue = growth, red = decline)`
+        : `Compare: ${note}`);
+    }
+    try {
+      const view = renderViewLayers();
+      if (view === "choropleth") statusParts.push(`View: Choropleth (${CLASS_METHODS[state.classMethod]})`);
+      if (view === "share") statusParts.push(`View: Branch share (contested below ${Math.round(CONFIG.branchShare.contestedBelow * 100)}%)`);
+    } catch (e) {
+      console.error(LOG_PREFIX, "View render failed", e);
+    }
+    try {
+      const summary = updateAlerts();
+      if (summary) statusParts.push(`Alerts: ${summary}`);
+    } catch (e) {
+      console.error(LOG_PREFIX, "Alerts update failed", e);
+    }
 
-  // Date filter note (tileset must include numeric `SaleDateKey` to enable date filtering)
-  const canDateFilterNow = (state.startKey != null || state.endKey != null) ? tilesetHasSaleDateKey() : true;
-  const dateNote = (canDateFilterNow ? "" : " (SaleDateKey not visible — using SaleDate string filter)");
+    lastApplied.status = statusParts.join(" • ");
+    setStatus(lastApplied.status);
+    renderFilterWarnings();
+    notify("applied", { status: lastApplied.status, warnings: filterWarnings(), state: embedStateSnapshot() });
 
+    filterDrawer?.updateSummary();
 
-    setStatus(
-      `Metric: ${METRICS[state.metric].label} • ` +
-      `Branch: ${state.branch === "__ALL__" ? "All" : state.branch} • ` +
-      `Group: ${state.group === "__ALL__" ? "All" : state.group} • ` +
-      `Dates: ${state.startKey ?? "…"} → ${state.endKey ?? "…"}${dateNote}`
-    );
+    updateHash({ push: true });
+    if (dataStore.label) dataStore.reported = true;
 
-    try { window.__WLFilterDrawer__?.updateSummary?.(); } catch {}
+    try { refreshFilterOptions(); } catch (e) { console.warn(LOG_PREFIX, "Filter option refresh failed", e); }
+    try { updateLeaderboard(); } catch (e) { console.warn(LOG_PREFIX, "Leaderboard update failed", e); }
+    try { updateLegend(); } catch (e) { console.warn(LOG_PREFIX, "Legend update failed", e); }
+    try { updateBranchReach(); } catch (e) { console.warn(LOG_PREFIX, "Branch reach update failed", e); }
+    try { updateAreaPanel(); } catch (e) { console.warn(LOG_PREFIX, "Trade area update failed", e); }
+    try { refreshZipDetail(); } catch (e) { console.warn(LOG_PREFIX, "ZIP detail update failed", e); }
 
     log("Applied filters • Metric:", METRICS[state.metric].label);
   }
 
   function clearFilters() {
-    if (els.branchSelect) els.branchSelect.value = "__ALL__";
-    if (els.groupSelect) els.groupSelect.value = "__ALL__";
+    branchPicker?.setSelection([], false);
+    groupLevelPickers.forEach((p) => p?.setSelection([], false));
+    syncGroupLevels();
     if (els.startDate) els.startDate.value = "";
     if (els.endDate) els.endDate.value = "";
-
-    state.branch = "__ALL__";
-    state.group = "__ALL__";
+    if (els.compareToggle) els.compareToggle.checked = false;
+    if (els.compareStart) els.compareStart.value = "";
+    if (els.compareEnd) els.compareEnd.value = "";
+
+    state.branch = new Set();
+    state.branchExclude = false;
+    for (const lvl of GROUP_LEVELS) {
+      state[lvl.key] = new Set();
+      state[`${lvl.key}Exclude`] = false;
+    }
     state.startKey = null;
     state.endKey = null;
+    state.compare = { enabled: false, startKey: null, endKey: null };
 
     applyFilters();
     log("Cleared filters");
   }
 
   function wireUI() {
-    els.metricSales?.addEventListener("click", () => {
-      setMetricUI("sales");
+    buildMetricToggles();
+    loadSavedViews();
+    buildSavedViewsUI();
+    els.metricToggles?.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-metric]");
+      if (!btn) return;
+      setMetricUI(btn.dataset.metric);
       updateMetricPaint();
       applyFilters();
-    });
-
-    els.metricTickets?.addEventListener("click", () => {
-      setMetricUI("tickets");
-      updateMetricPaint();
+    }, { signal });
+
+    if (els.normalizeMode) {
+      els.normalizeMode.innerHTML = Object.entries(NORMALIZERS)
+        .map(([key, n]) => `<option value="${key}">${n.label}</option>`).join("");
+      els.normalizeMode.addEventListener("change", () => {
+        setNormalizeUI(els.normalizeMode.value);
+        applyFilters();
+      }, { signal });
+    }
+    setNormalizeUI(state.normalize);
+
+    // View mode (heatmap / choropleth) keeps the current filters and metric
+    if (els.viewToggles) {
+      els.viewToggles.innerHTML = "";
+      for (const [key, label] of Object.entries(VIEW_MODES)) {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "toggleBtn";
+        btn.dataset.view = key;
+        btn.textContent = label;
+        els.viewToggles.appendChild(injected(btn));
+      }
+      els.viewToggles.addEventListener("click", (e) => {
+        const btn = e.target.closest("[data-view]");
+        if (!btn) return;
+        setViewUI(btn.dataset.view);
+        applyFilters();
+      }, { signal });
+    }
+    if (els.classMethod) {
+      els.classMethod.innerHTML = Object.entries(CLASS_METHODS)
+        .map(([key, label]) => `<option value="${key}">${label}</option>`).join("");
+      els.classMethod.addEventListener("change", () => {
+        setClassMethodUI(els.classMethod.value);
+        applyFilters();
+      }, { signal });
+    }
+    setViewUI(state.view);
+    setClassMethodUI(state.classMethod);
+
+    if (els.scaleMode) {
+      els.scaleMode.innerHTML = Object.entries(SCALE_MODES)
+        .map(([key, label]) => `<option value="${key}">${label}</option>`).join("");
+      els.scaleMode.addEventListener("change", () => {
+        setScaleUI(els.scaleMode.value, false);
+        applyFilters();
+      }, { signal });
+    }
+    // Locking captures the stops currently on the map for this metric
+    els.scaleLock?.addEventListener("change", () => {
+      setScaleUI(state.scaleMode, els.scaleLock.checked);
+      if (state.scaleLocked && heatScale.current) heatScale.locked.set(heatScale.current.key, heatScale.current.stops);
       applyFilters();
-    });
+    }, { signal });
+    setScaleUI(state.scaleMode, state.scaleLocked);
+
+    els.applyBtn?.addEventListener("click", () => { branchPicker?.close(); groupPicker?.close(); applyFilters(); filterDrawer?.setOpen(false); }, { signal });
+    els.clearBtn?.addEventListener("click", () => { clearFilters(); filterDrawer?.setOpen(false); }, { signal });
 
-    els.applyBtn?.addEventListener("click", () => { applyFilters(); try { window.__WLFilterDrawer__?.setOpen(false); } catch {} });
-    els.clearBtn?.addEventListener("click", () => { clearFilters(); try { window.__WLFilterDrawer__?.setOpen(false); } catch {} });
+    els.exportCsvBtn?.addEventListener("click", () => exportData("csv"), { signal });
+    els.exportXlsxBtn?.addEventListener("click", () => exportData("xlsx"), { signal });
+    els.exportImageBtn?.addEventListener("click", () => exportReportImage(), { signal });
+    els.printReportBtn?.addEventListener("click", () => printReport(), { signal });
 
-    els.startDate?.addEventListener("keydown", (e) => { if (e.key === "Enter") applyFilters(); });
-    els.endDate?.addEventListener("keydown", (e) => { if (e.key === "Enter") applyFilters(); });
+    els.startDate?.addEventListener("keydown", (e) => { if (e.key === "Enter") applyFilters(); }, { signal });
+    els.endDate?.addEventListener("keydown", (e) => { if (e.key === "Enter") applyFilters(); }, { signal });
 
     // =========================
     // Quick date presets (no HTML edits required)
@@ -817,8 +6273,6 @@ try {
     function toInputDate(d){
       return `${d.getFullYear()}-${pad2(d.getMonth()+1)}-${pad2(d.getDate())}`;
     }
-    function startOfMonth(d){ return new Date(d.getFullYear(), d.getMonth(), 1); }
-    function endOfMonth(d){ return new Date(d.getFullYear(), d.getMonth()+1, 0); }
 
     function setDateInputs(startDt, endDt, { apply = true } = {}) {
       if (!els.startDate || !els.endDate) return;
@@ -855,7 +6309,7 @@ try {
             background:#f3f4f6 !important;
           }
         `;
-        document.head.appendChild(st);
+        document.head.appendChild(injected(st));
       }
 
       const bar = document.createElement("div");
@@ -884,50 +6338,374 @@ try {
         return b;
       };
 
-      bar.appendChild(mkBtn("Current Year", () => {
-        const y = new Date().getFullYear();
-        setDateInputs(new Date(y, 0, 1), new Date(y, 11, 31));
-      }));
-
-      bar.appendChild(mkBtn("Last Year", () => {
-        const y = new Date().getFullYear() - 1;
-        setDateInputs(new Date(y, 0, 1), new Date(y, 11, 31));
-      }));
-
-      bar.appendChild(mkBtn("Current Month", () => {
-        const d = new Date();
-        setDateInputs(startOfMonth(d), endOfMonth(d));
-      }));
-
-      bar.appendChild(mkBtn("Previous Month", () => {
-        const d = new Date();
-        const prev = new Date(d.getFullYear(), d.getMonth() - 1, 1);
-        setDateInputs(startOfMonth(prev), endOfMonth(prev));
-      }));
-
-      bar.appendChild(mkBtn("YTD", () => {
-        const d = new Date();
-        setDateInputs(new Date(d.getFullYear(), 0, 1), d);
-      }));
+      // Presets come from CONFIG.datePresets (keys of DATE_PRESETS or { label, days })
+      for (const p of CONFIG.datePresets) {
+        const preset = typeof p === "string"
+          ? DATE_PRESETS[p]
+          : { label: p.label, range: (d) => [new Date(d.getFullYear(), d.getMonth(), d.getDate() - p.days + 1), d] };
+        bar.appendChild(mkBtn(preset.label, () => setDateInputs(...preset.range(new Date()))));
+      }
 
       bar.appendChild(mkBtn("Clear Dates", () => {
         setDateInputs(null, null);
       }));
 
       // Insert right after the end date input (best “no HTML edits” anchor)
-      els.endDate.parentElement?.appendChild(bar);
+      els.endDate.parentElement?.appendChild(injected(bar));
     }
 
     // build the bar once when wiring UI
     ensureQuickDateBar();
+
+    // =========================
+    // Compare bar (period over period) under the quick dates
+    // =========================
+    function shiftDays(d, n) { return new Date(d.getFullYear(), d.getMonth(), d.getDate() + n); }
+
+    function ensureCompareBar() {
+      if (!els.startDate || !els.endDate) return;
+      if (document.getElementById("wlCompare")) return;
+
+      if (!document.getElementById("wlCompareStyle")) {
+        const st = document.createElement("style");
+        st.id = "wlCompareStyle";
+        st.textContent = `
+          #wlCompare{ margin-top:10px; padding:8px; border:1px solid #e5e7eb; border-radius:8px; }
+          #wlCompare .wl-cmp-head{ display:flex; align-items:center; gap:6px; font-size:12px; color:#374151; margin:0 0 6px 0; }
+          #wlCompare .wl-cmp-head input{ width:auto; margin:0; }
+          #wlCompare .wl-cmp-dates{ display:grid; grid-template-columns:1fr 1fr; gap:8px; }
+          #wlCompare .wl-cmp-short{ display:flex; flex-wrap:wrap; gap:6px; margin-top:6px; }
+          #wlCompare .wl-cmp-short button{
+            width:auto;
+            color:#111827 !important;
+            -webkit-text-fill-color:#111827 !important;
+            background:#ffffff !important;
+            border:1px solid rgba(0,0,0,.15) !important;
+            border-radius:8px !important;
+            padding:5px 8px !important;
+            font-size:12px !important;
+          }
+          #wlCompare .wl-cmp-short button:hover{ background:#f3f4f6 !important; }
+        `;
+        document.head.appendChild(injected(st));
+      }
+
+      const box = document.createElement("div");
+      box.id = "wlCompare";
+      box.innerHTML = `
+        <label class="wl-cmp-head"><input type="checkbox" id="wlCompareToggle" /> Compare to another period</label>
+        <div class="wl-cmp-dates">
+          <input id="wlCompareStart" type="date" aria-label="Compare start date" />
+          <input id="wlCompareEnd" type="date" aria-label="Compare end date" />
+        </div>
+        <div class="wl-cmp-short">
+          <button type="button" data-cmp="prev">Previous period</button>
+          <button type="button" data-cmp="yoy">Same period last year</button>
+        </div>
+      `;
+
+      els.compareToggle = box.querySelector("#wlCompareToggle");
+      els.compareStart = box.querySelector("#wlCompareStart");
+      els.compareEnd = box.querySelector("#wlCompareEnd");
+
+      const setCompareInputs = (startDt, endDt) => {
+        els.compareStart.value = toInputDate(startDt);
+        els.compareEnd.value = toInputDate(endDt);
+        els.compareToggle.checked = true;
+        applyFilters();
+      };
+
+      box.querySelector('[data-cmp="prev"]').addEventListener("click", () => {
+        const s = keyToDate(dateToKey(els.startDate.value));
+        const e = keyToDate(dateToKey(els.endDate.value));
+        if (!s || !e) { setStatus("Pick a start and end date first, then choose a compare period."); return; }
+        const days = Math.round((e - s) / (24 * 60 * 60 * 1000));
+        const prevEnd = shiftDays(s, -1);
+        setCompareInputs(shiftDays(prevEnd, -days), prevEnd);
+      });
+
+      box.querySelector('[data-cmp="yoy"]').addEventListener("click", () => {
+        const s = keyToDate(dateToKey(els.startDate.value));
+        const e = keyToDate(dateToKey(els.endDate.value));
+        if (!s || !e) { setStatus("Pick a start and end date first, then choose a compare period."); return; }
+        setCompareInputs(
+          new Date(s.getFullYear() - 1, s.getMonth(), s.getDate()),
+          new Date(e.getFullYear() - 1, e.getMonth(), e.getDate())
+        );
+      });
+
+      els.compareToggle.addEventListener("change", () => applyFilters());
+      els.compareStart.addEventListener("keydown", (e) => { if (e.key === "Enter") applyFilters(); });
+      els.compareEnd.addEventListener("keydown", (e) => { if (e.key === "Enter") applyFilters(); });
+
+      const quick = document.getElementById("wlQuickDates");
+      if (quick) quick.insertAdjacentElement("afterend", injected(box));
+      else els.endDate.parentElement?.appendChild(injected(box));
+    }
+
+    ensureCompareBar();
+    ensureTimelapseBar();
+  }
+
+  // =========================
+  // Commands, shared by the embed protocol (see "Embedding protocol" at the top) and the
+  // WLHeatmap API (see "Public JavaScript API" at the bottom)
+  // - setFilters { branches?, branchExclude?, groups?, groupExclude?, groups2?, group2Exclude?,
+  //   groups3?, group3Exclude?, startDate?, endDate? } (dates "YYYY-MM-DD" or null; omitted keys
+  //   keep their current value; groups2/groups3 need a single included group at the level above)
+  // - setMetric { metric, normalize? } (normalize: "none" | "population" | "households" | "housingUnits";
+  //   error "unavailable" for anything but "none" when the demographics file is missing)
+  // - flyToZip { zip }
+  // - export { format: "csv" | "xlsx", byGroup?, deliver?: "download" | "message" } (error "unavailable"
+  //   for a tiled source without data.totals)
+  // - getState {}
+  // Events: ready, filtersApplied, zipClicked, error (API names: applied, click, error)
+  // =========================
+  const embed = { ready: false };
+
+  class CommandError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.code = code;
+    }
+  }
+
+  function embedStateSnapshot() {
+    const c = map.getCenter();
+    return {
+      metric: state.metric,
+      normalize: state.normalize,
+      branches: Array.from(state.branch),
+      branchExclude: state.branchExclude,
+      ...Object.fromEntries(GROUP_LEVELS.flatMap((lvl) => [
+        [lvl.apiKey, Array.from(state[lvl.key])],
+        [`${lvl.key}Exclude`, state[`${lvl.key}Exclude`]],
+      ])),
+      startDate: keyToInputDate(state.startKey) || null,
+      endDate: keyToInputDate(state.endKey) || null,
+      view: activeView(),
+      center: [c.lng, c.lat],
+      zoom: map.getZoom(),
+    };
+  }
+
+  // Events wait for "ready" so subscribers and the host never see half-booted state
+  function notify(event, payload) {
+    if (embed.ready || event === "error") publish(event, payload);
+  }
+
+  const stringList = (v, key) => {
+    if (!Array.isArray(v) || !v.every((x) => typeof x === "string")) throw new CommandError("bad-payload", `${key} must be a list of strings`);
+    return v;
+  };
+  const inputDate = (v, key) => {
+    if (v == null || v === "") return "";
+    if (dateToKey(v) == null) throw new CommandError("bad-payload", `${key} must be "YYYY-MM-DD" or null`);
+    return v;
+  };
+
+  const EMBED_COMMANDS = {
+    setFilters(p) {
+      // Validate everything before touching the UI
+      const branches = "branches" in p ? stringList(p.branches, "branches") : null;
+      const groups = GROUP_LEVELS.map((lvl) => (lvl.apiKey in p ? stringList(p[lvl.apiKey], lvl.apiKey) : null));
+      const startDate = "startDate" in p ? inputDate(p.startDate, "startDate") : null;
+      const endDate = "endDate" in p ? inputDate(p.endDate, "endDate") : null;
+
+      if (branches) branchPicker?.setSelection(branches, !!p.branchExclude);
+      GROUP_LEVELS.forEach((lvl, i) => {
+        if (!groups[i] || !groups[i].length || i === 0) return;
+        const above = GROUP_LEVELS[i - 1];
+        const parent = groups[i - 1] ?? groupLevelPickers[i - 1]?.getValues() ?? new Set();
+        const parentExclude = groups[i - 1] ? !!p[`${above.key}Exclude`] : !!groupLevelPickers[i - 1]?.isExclude();
+        if (Array.from(parent).length !== 1 || parentExclude) {
+          throw new CommandError("bad-payload", `${lvl.apiKey} needs exactly one included value in ${above.apiKey}`);
+        }
+      });
+      GROUP_LEVELS.forEach((lvl, i) => {
+        if (groups[i]) groupLevelPickers[i]?.setSelection(groups[i], !!p[`${lvl.key}Exclude`]);
+        else if (i > 0 && groups[i - 1]) groupLevelPickers[i]?.setSelection([], false); // new parent
+      });
+      syncGroupLevels();
+      if (startDate != null && els.startDate) els.startDate.value = startDate;
+      if (endDate != null && els.endDate) els.endDate.value = endDate;
+      applyFilters();
+      return embedStateSnapshot();
+    },
+
+    setMetric(p) {
+      if (!METRICS[p.metric]) {
+        throw new CommandError("bad-payload", `metric must be one of ${Object.keys(METRICS).join(", ")}`);
+      }
+      if (p.normalize != null && !NORMALIZERS[p.normalize]) {
+        throw new CommandError("bad-payload", `normalize must be one of ${Object.keys(NORMALIZERS).join(", ")}`);
+      }
+      if (p.normalize != null && p.normalize !== "none" && demographics.missing) {
+        throw new CommandError("unavailable", `${CONFIG.urls.demographics} was not found, so there is no "Per" option`);
+      }
+      setMetricUI(p.metric);
+      if (p.normalize != null) setNormalizeUI(p.normalize);
+      updateMetricPaint();
+      applyFilters();
+      return embedStateSnapshot();
+    },
+
+    flyToZip(p) {
+      const zip = normZip(p.zip);
+      if (!/^\d{5}$/.test(zip)) throw new CommandError("bad-payload", "zip must be a 5-digit ZIP code");
+      const hit = collectSourceFeatures().find((f) => f.coordinates && normZip(f.properties.Zip5) === zip);
+      if (!hit) {
+        throw new CommandError("not-found", !hasCompleteData()
+          ? `ZIP ${zip} is not in the map tiles loaded so far`
+          : `ZIP ${zip} has no records in ${dataStore.label}`);
+      }
+      focusZip(zip, null, hit.coordinates);
+      return { zip, center: hit.coordinates };
+    },
+
+    export(p) {
+      const format = p.format || "csv";
+      if (format !== "csv" && format !== "xlsx") throw new CommandError("bad-payload", 'format must be "csv" or "xlsx"');
+      if (!hasCompleteData()) throw new CommandError("unavailable", incompleteDataNote("Export"));
+      if (p.deliver === "message") {
+        const file = buildExportFile(format, { byGroup: !!p.byGroup });
+        log(`Exported ${file.rows} rows as ${format.toUpperCase()} to the host page`);
+        return file;
+      }
+      return { rows: exportData(format, { byGroup: !!p.byGroup }) };
+    },
+
+    getState() {
+      return embedStateSnapshot();
+    },
+  };
+
+  function onHostMessage(e) {
+    const msg = e.data;
+    if (!msg || typeof msg !== "object" || msg.protocol !== EMBED_PROTOCOL) return;
+    if (!isAllowedEmbedOrigin(e.origin)) {
+      console.warn(LOG_PREFIX, `Ignored ${msg.type} from ${e.origin} (not in embed.allowedOrigins)`);
+      return;
+    }
+
+    const reply = (type, payload) => postToHost(type, payload, { replyTo: msg.id ?? null, target: e.source, origin: e.origin });
+    if (msg.version !== EMBED_VERSION) {
+      reply("error", { code: "unsupported-version", message: `Protocol version ${msg.version} is not supported (use ${EMBED_VERSION})` });
+      return;
+    }
+    const cmd = EMBED_COMMANDS[msg.type];
+    if (!cmd || !Object.prototype.hasOwnProperty.call(EMBED_COMMANDS, msg.type)) {
+      reply("error", { code: "unknown-command", message: `Unknown command "${msg.type}"` });
+      return;
+    }
+    if (!embed.ready) {
+      reply("error", { code: "not-ready", message: "The map is still loading; wait for the ready event" });
+      return;
+    }
+
+    if (e.origin !== "null") embedHost.origin = e.origin; // file:// / sandboxed hosts report "null"
+    try {
+      reply("response", { command: msg.type, result: cmd(msg.payload || {}) });
+    } catch (err) {
+      console.warn(LOG_PREFIX, `Embed command ${msg.type} failed:`, err instanceof CommandError ? err.message : err);
+      reply("error", { code: err.code || "command-failed", command: msg.type, message: String(err.message || err) });
+    }
+  }
+
+  function wireEmbedding() {
+    window.addEventListener("message", onHostMessage, { signal });
+  }
+
+  function announceReady() {
+    embed.ready = true;
+    markReady({ commands: EMBED_COMMANDS, getAggregates, debugSample });
+    postToHost("ready", {
+      commands: Object.keys(EMBED_COMMANDS),
+      metrics: Object.fromEntries(Object.entries(METRICS).map(([k, m]) => [k, m.label])),
+      normalizers: Object.fromEntries(Object.entries(NORMALIZERS).map(([k, n]) => [k, n.label])),
+      source: dataStore.label,
+      state: embedStateSnapshot(),
+    });
+    for (const e of configErrors) publish("error", { code: "config", key: e.key, message: e.message });
+  }
+
+  // =========================
+  // API-only helpers and teardown
+  // =========================
+
+  // Per-ZIP totals for the current filters (loaded tiles only for tiled sources without data.totals),
+  // best first by the active metric; normalized, also the ZIP's count and the per-unit value (null
+  // without a demographic figure)
+  function getAggregates() {
+    const byZip = aggregateByZip(filteredSourceFeatures());
+    const normalized = isNormalized();
+    return Array.from(byZip.values(), (row) => {
+      const out = { zip: row.zip, coordinates: row.coordinates, records: row.records };
+      for (const prop of SUM_PROPS) out[prop] = row[prop];
+      out.value = metricFromTotals(row, state.metric);
+      if (normalized) {
+        out.demographic = demographicCount(row.zip);
+        out.perUnit = normalizeValue(out.value, row.zip);
+      }
+      return out;
+    }).sort((a, b) => b.value - a.value);
+  }
+
+  // One rendered feature's properties plus what the schema detection made of them (was window.WLdbg)
+  function debugSample() {
+    try {
+      const feats = map.queryRenderedFeatures({ layers: [POINT_LAYER_ID] });
+      const p = feats?.[0]?.properties;
+      log("sample feature properties:", p);
+      if (p) {
+        log("keys:", Object.keys(p).sort());
+        log("schema:", schema.fields, "date formats:", schema.dateFormats, "canonical:", canonicalProps(p));
+      }
+      return p ?? null;
+    } catch (e) {
+      console.warn(LOG_PREFIX, "debugSample error:", e);
+      return null;
+    }
+  }
+
+  // Every startup failure ends here: status line, "error" event and a rejected whenReady()
+  function failStartup(code, err, message) {
+    console.error(LOG_PREFIX, `${message}:`, err);
+    setStatus(`${message}: ${err?.message || err}`);
+    publish("error", { code, message: `${message}: ${err?.message || err}` });
+    markFailed(err instanceof Error ? err : new Error(`${message}: ${err}`));
+  }
+
+  // Leaves the page as it was before boot, so WLHeatmap.mount() can start over
+  function destroy() {
+    embed.ready = false;
+    lifetime.abort();
+    pauseTimelapse();
+    try {
+      map.remove();
+    } catch (e) {
+      console.warn(LOG_PREFIX, "map.remove failed:", e);
+    }
+    if (filterPanelEl && pristinePanel) {
+      filterPanelEl.innerHTML = pristinePanel.html;
+      filterPanelEl.className = pristinePanel.className;
+    }
+    for (const el of injectedNodes) el.remove();
+    injectedNodes.clear();
+    log("Destroyed");
   }
+  registerTeardown(destroy);
 
   // =========================
   // Startup
   // =========================
   (async function init() {
+    wireEmbedding();
+    applyBranding();
+    renderConfigErrors();
     await loadFilters();
     wireUI();
+    renderConfigErrors();
 
     
 // =========================
@@ -940,26 +6718,6 @@ function wirePointHoverTooltip() {
   if (wirePointHoverTooltip._bound) return;
   wirePointHoverTooltip._bound = true;
 
-  const hoverPopup = new mapboxgl.Popup({
-    closeButton: true,
-    closeOnClick: true,
-    maxWidth: "320px",
-  });
-
-  const fmtMoney = (v) => {
-    const n = Number(v);
-    if (!isFinite(n)) return "$0.00";
-    return n.toLocaleString(undefined, { style: "currency", currency: "USD" });
-  };
-
-  const fmtNum = (v) => {
-    const n = Number(v);
-    if (!isFinite(n)) return "0";
-    return n.toLocaleString();
-  };
-
-  const getProp = (p, key) => (p && p[key] != null ? p[key] : undefined);
-
   const bindHandlers = () => {
     if (!map.getLayer(HIT_LAYER_ID) || !map.getLayer(POINT_LAYER_ID)) return false;
 
@@ -969,124 +6727,24 @@ function wirePointHoverTooltip() {
 
     map.on("mouseleave", HIT_LAYER_ID, () => {
       map.getCanvas().style.cursor = "";
-      hoverPopup.remove();
+      highlightLeaderboardRow(null);
     });
 
-    // Click-to-show tooltip (more reliable + lighter than hover in BisTrack embedded dashboards)
-map.on("click", HIT_LAYER_ID, (e) => {
-  const f = e.features && e.features[0];
-  if (!f) return;
-
-  const p0 = f.properties || {};
-  const zip = getProp(p0, "Zip5") ?? "—";
-  const branch = getProp(p0, "BranchName") ?? "—";
-
-  // Aggregate across currently rendered + filtered features in the viewport (fast enough on click)
-  const feats = map.queryRenderedFeatures({ layers: [POINT_LAYER_ID] }) || [];
-
-  let ticketsSum = 0;
-  let salesSum = 0;
-  let profitSum = 0;
-  const byGroup = new Map();
-  let minDate = null;
-  let maxDate = null;
-
-  for (const ft of feats) {
-    const p = ft.properties || {};
-    const z = getProp(p, "Zip5");
-    const b = getProp(p, "BranchName");
-    if (String(z) !== String(zip)) continue;
-    if (String(b) !== String(branch)) continue;
-
-    const t = Number(getProp(p, "TicketCount")) || 0;
-    const s = Number(getProp(p, "TotalSales")) || 0;
-    const pr = Number(getProp(p, "TotalProfit")) || 0;
-
-    ticketsSum += t;
-    salesSum += s;
-    profitSum += pr;
-
-    if (state.group === "__ALL__") {
-      const g = String(getProp(p, "ProductGroupLevel1") ?? "—");
-      const cur = byGroup.get(g) || { tickets: 0, sales: 0, profit: 0 };
-      cur.tickets += t;
-      cur.sales += s;
-      cur.profit += pr;
-      byGroup.set(g, cur);
-    }
-
-    const sd =
-      getProp(p, BOM_SALEDATE_FIELD) ??
-      getProp(p, "SaleDate") ??
-      getProp(p, "\ufeffSaleDateISO") ??
-      getProp(p, "SaleDateISO") ??
-      null;
-
-    if (sd) {
-      const dt = new Date(String(sd));
-      if (!isNaN(dt.getTime())) {
-        if (!minDate || dt < minDate) minDate = dt;
-        if (!maxDate || dt > maxDate) maxDate = dt;
-      }
-    }
-  }
-
-  const dateLine = (() => {
-    if (minDate && maxDate) {
-      const a = formatMDY(minDate);
-      const b = formatMDY(maxDate);
-      return (a === b) ? a : `${a} → ${b}`;
-    }
-    const clickedDate =
-      getProp(p0, BOM_SALEDATE_FIELD) ??
-      getProp(p0, "SaleDate") ??
-      getProp(p0, "\ufeffSaleDateISO") ??
-      getProp(p0, "SaleDateISO") ??
-      "—";
-    return clickedDate;
-  })();
-
-  // Breakdown (top 6 groups by sales)
-  let breakdownHtml = "";
-  if (state.group === "__ALL__" && byGroup.size) {
-    const rows = Array.from(byGroup.entries())
-      .map(([g, v]) => ({ g, ...v }))
-      .sort((a, b) => b.sales - a.sales)
-      .slice(0, 6);
-
-    breakdownHtml =
-      `<div style="margin-top:10px; font-size:12px;">` +
-      `<div style="font-weight:700; margin-bottom:6px;">Top groups (viewport)</div>` +
-      rows.map(r =>
-        `<div style="display:flex; justify-content:space-between; gap:10px;">` +
-          `<span style="white-space:nowrap; overflow:hidden; text-overflow:ellipsis; max-width:180px;">${r.g}</span>` +
-          `<span>${fmtMoney(r.sales)}</span>` +
-        `</div>`
-      ).join("") +
-      `</div>`;
-  }
-
-  const html = `
-    <div style="font-family: system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif;">
-      <div style="font-weight:700; font-size:13px; margin-bottom:6px;">${zip} • ${branch}</div>
-      <div style="font-size:12px; opacity:.9; margin-bottom:8px;">${dateLine}</div>
-      <div style="font-size:12px; margin-bottom:8px;">
-        <b>Scope:</b> ${state.group === "__ALL__" ? "All groups" : state.group} • ${state.branch === "__ALL__" ? "All branches" : state.branch}
-      </div>
-      <div style="display:grid; grid-template-columns: 1fr 1fr; gap:8px; font-size:12px;">
-        <div><b>Tickets</b><br>${fmtNum(ticketsSum)}</div>
-        <div><b>Sales</b><br>${fmtMoney(salesSum)}</div>
-        <div><b>Profit</b><br>${fmtMoney(profitSum)}</div>
-      </div>
-      ${breakdownHtml}
-      <div style="margin-top:8px; font-size:11px; opacity:.7;">
-        Note: totals are for currently rendered points in the viewport (and respect your filters).
-      </div>
-    </div>
-  `;
+    map.on("mousemove", HIT_LAYER_ID, (e) => {
+      const p = canonicalProps(e.features?.[0]?.properties);
+      if (p) highlightLeaderboardRow(String(p.Zip5 ?? "—"), String(p.BranchName ?? "—"));
+    });
 
-  hoverPopup.setLngLat(e.lngLat).setHTML(html).addTo(map);
-});
+    // Click-to-open ZIP detail (more reliable + lighter than hover in BisTrack embedded dashboards)
+    map.on("click", HIT_LAYER_ID, (e) => {
+      if (isDrawingArea()) return;
+      const f = e.features && e.features[0];
+      if (!f) return;
+      const p0 = canonicalProps(f.properties || {});
+      if (p0.Zip5 == null) return;
+      openZipDetail(p0.Zip5, p0.BranchName);
+      notify("click", { zip: normZip(p0.Zip5), branch: p0.BranchName ?? null, lngLat: [e.lngLat.lng, e.lngLat.lat] });
+    });
 
     return true;
   };
@@ -1099,27 +6757,215 @@ map.on("click", HIT_LAYER_ID, (e) => {
   }
 }
 
-map.on("load", () => {
-      log("Map loaded. Adding layers...");
+map.on("load", () => onMapLoad().catch((err) => failStartup("boot", err, "Map setup failed")));
+
+    async function onMapLoad() {
+      mapLoaded = true;
+      log("Map loaded. Adding data source and layers...");
+      try {
+        setStatus(`Loading ${DATA_SOURCE_TYPES[CONFIG.data.source.type] || DATA_SOURCE_TYPES.tileset}…`);
+        await addDataSource();
+      } catch (err) {
+        failStartup("data-source", err, `Data source failed (${CONFIG.data.source.type})`);
+        return;
+      }
       ensureLayers();
+      ensureCompareLayer();
+      ensureShareLayer();
+      ensureAlertLayer();
+      await loadBranchSites();
+      await probeDemographics();
+      ensureBranchLayers();
+      ensureAreaLayers();
+      loadSavedAreas();
+      renderAreas();
+      updateAreaPanel();
+      wireAreaDrawing();
+      map.addControl(legendControl, "bottom-left");
+      map.addControl(zipDetailControl, "top-right");
       wirePointHoverTooltip();
+      wireCompareClick();
+      wireShareClick();
+      wireAlertClick();
+
+      refreshFilterOptions();
+
+      // Restore the permalink view (if any) before the first apply; camera was set at construction
+      // A permalink wins over the saved default view
+      const bootView = readViewFromHash() ? null : defaultSavedView();
+      if (bootView) {
+        hashSync.restoring = true;
+        try {
+          applySavedView(bootView);
+        } finally {
+          hashSync.restoring = false;
+        }
+        log(`Applied default view "${bootView.name}"`);
+      } else {
+        restoreViewFromHash();
+      }
+      updateHash();
+
+      // Tiled sources: learn the field names / date formats from the first loaded tiles, then
+      // re-apply (the filters so far used the CONFIG.fields guesses)
+      if (isTiledSource()) {
+        const onSchemaData = (e) => {
+          if (e.sourceId !== SOURCE_ID || !map.isSourceLoaded(SOURCE_ID) || !detectTiledSchema()) return;
+          map.off("sourcedata", onSchemaData);
+          hashSync.restoring = true;
+          try {
+            applyFilters();
+          } finally {
+            hashSync.restoring = false;
+          }
+        };
+        map.on("sourcedata", onSchemaData);
+      }
 
-      setMetricUI("sales");
-      updateMetricPaint();
-      applyFilters();
+      // Tiled data without data.totals only exposes loaded tiles: once new tiles settle, re-total
+      // what is drawn from them in one shared pass. Complete data doesn't change with the camera,
+      // and the panels that need it (reach, areas, alerts, ZIP detail) don't read tiles at all.
+      const onTilesSettled = () => withFeatureSnapshot(() => {
+        refreshFilterOptions();
+        updateLeaderboard();
+        if (viewNeedsClientTotals()) renderViewLayers();
+      });
+      if (!hasCompleteData()) map.once("idle", onTilesSettled);
 
+      map.on("moveend", () => {
+        updateHash();
+        if (!hasCompleteData()) map.once("idle", onTilesSettled);
+      });
+      window.addEventListener("popstate", () => restoreViewFromHash({ camera: true }), { signal });
+
+      // A "Per" view from the permalink or default view is applied again once its demographics load
+      if (demographics.loading) await demographics.loading;
+      announceReady();
       log("Ready");
-    });
-  })();
+    }
+  })().catch((err) => failStartup("boot", err, "Failed to initialize"));
 
   };
 
-  ready(() => {
-    boot().catch((err) => {
-      console.error(LOG_PREFIX, "Failed to boot:", err);
-      const status = document.getElementById("status");
-      if (status) status.textContent = `Failed to initialize: ${err.message || err}`;
-    });
-  });
+  // =========================
+  // Public JavaScript API (window.WLHeatmap)
+  // The supported surface for dashboard glue scripts; everything else in this file is internal.
+  //   WLHeatmap.getState()          → { metric, normalize, branches, branchExclude, groups, groupExclude, groups2,
+  //                                     group2Exclude, groups3, group3Exclude, startDate, endDate, view,
+  //                                     center, zoom } (dates "YYYY-MM-DD" or null)
+  //   WLHeatmap.setFilters({ branches?, branchExclude?, groups?, groupExclude?, groups2?, …, startDate?, endDate? })
+  //                                   → new state; omitted keys keep their current value (see "Commands")
+  //   WLHeatmap.setMetric("profit", "households") → new state (keys as in CONFIG.metrics; the optional
+  //                                   second argument is the "Per" option, see NORMALIZERS)
+  //   WLHeatmap.flyToZip("77840")   → { zip, center }; throws if the ZIP isn't in the loaded data
+  //   WLHeatmap.getAggregates()     → [{ zip, coordinates, records, TotalSales, TicketCount, TotalProfit, value }]
+  //                                   for the current filters, `value` = active metric, best first;
+  //                                   with a "Per" option also `demographic` (count) and `perUnit`
+  //   WLHeatmap.on("applied" | "click" | "error", fn) → unsubscribe function
+  //                                   (payloads match the filtersApplied / zipClicked / error messages)
+  //   WLHeatmap.whenReady()         → Promise that resolves once the first filters are applied, or
+  //                                   rejects if startup fails (config, map style, data source)
+  //   WLHeatmap.destroy()           → removes the map, injected styles and panels, the filter drawer
+  //                                   and all listeners, on() subscriptions included; WLHeatmap.mount()
+  //                                   boots again
+  //   WLHeatmap.debugSample()       → one rendered feature's properties (replaces WLdbg())
+  // Commands throw until whenReady() resolves; bad arguments throw with a `code` ("bad-payload", "not-found",
+  // "unavailable"); README.md documents this API, the embed protocol and the runtime config.
+  // =========================
+  const PUBLIC_EVENTS = { applied: "filtersApplied", click: "zipClicked", error: "error" }; // → embed message type
+  const apiListeners = Object.fromEntries(Object.keys(PUBLIC_EVENTS).map((k) => [k, new Set()]));
+  const runtime = {
+    mounting: null,  // boot() promise while mounted
+    ready: null,     // { promise, resolve, reject } for whenReady()
+    instance: null,  // set by boot once ready: { commands, getAggregates, debugSample }
+    teardown: null,  // boot's destroy()
+  };
+
+  // Tells API subscribers and the embedding host (if any)
+  function publish(event, payload) {
+    for (const fn of apiListeners[event]) {
+      try { fn(payload); } catch (e) { console.warn(LOG_PREFIX, `WLHeatmap "${event}" listener failed:`, e); }
+    }
+    postToHost(PUBLIC_EVENTS[event], payload);
+  }
+
+  // Created on first use, so whenReady() works even before the page has finished loading
+  function readyDeferred() {
+    if (!runtime.ready) {
+      const d = {};
+      d.promise = new Promise((resolve, reject) => Object.assign(d, { resolve, reject }));
+      d.promise.catch(() => {}); // failures are logged by mount(); awaiting callers still see them
+      runtime.ready = d;
+    }
+    return runtime.ready;
+  }
+
+  function markReady(instance) {
+    runtime.instance = instance;
+    runtime.ready?.resolve();
+  }
+
+  // Settles whenReady() for a boot that will never get there (no-op once ready)
+  function markFailed(err) {
+    readyDeferred().reject(err);
+  }
+
+  function registerTeardown(fn) {
+    runtime.teardown = fn;
+  }
+
+  function runCommand(name, payload) {
+    if (!runtime.instance) throw new Error("WLHeatmap is not ready yet (await WLHeatmap.whenReady())");
+    return runtime.instance.commands[name](payload);
+  }
+
+  const WLHeatmap = {
+    mount() {
+      if (runtime.mounting) return runtime.mounting;
+      const deferred = readyDeferred();
+      runtime.mounting = boot().catch((err) => {
+        console.error(LOG_PREFIX, "Failed to boot:", err);
+        publish("error", { code: "boot", message: String(err.message || err) });
+        const status = document.getElementById("status");
+        if (status) status.textContent = `Failed to initialize: ${err.message || err}`;
+        deferred.reject(err);
+      });
+      return runtime.mounting;
+    },
+
+    whenReady() {
+      return readyDeferred().promise;
+    },
+
+    async destroy() {
+      if (!runtime.mounting) return;
+      await runtime.mounting;
+      runtime.teardown?.();
+      runtime.ready?.reject(new Error("WLHeatmap was destroyed"));
+      Object.assign(runtime, { mounting: null, ready: null, instance: null, teardown: null });
+      for (const set of Object.values(apiListeners)) set.clear();
+    },
+
+    getState: () => runCommand("getState"),
+    setFilters: (filters = {}) => runCommand("setFilters", filters),
+    setMetric: (metric, normalize) => runCommand("setMetric", normalize === undefined ? { metric } : { metric, normalize }),
+    flyToZip: (zip) => runCommand("flyToZip", { zip }),
+
+    getAggregates() {
+      if (!runtime.instance) throw new Error("WLHeatmap is not ready yet (await WLHeatmap.whenReady())");
+      return runtime.instance.getAggregates();
+    },
+
+    on(event, fn) {
+      if (!apiListeners[event]) throw new Error(`Unknown WLHeatmap event "${event}" (use ${Object.keys(PUBLIC_EVENTS).join(", ")})`);
+      apiListeners[event].add(fn);
+      return () => apiListeners[event].delete(fn);
+    },
+
+    debugSample: () => runtime.instance?.debugSample() ?? null,
+  };
+  window.WLHeatmap = WLHeatmap;
+
+  ready(() => WLHeatmap.mount());
 
 })();
\ No newline at end of file